@@ -38,6 +38,11 @@ export namespace PHP {
   export const Network: Record<string, any>;
   export const Cookie: Record<string, any>;
   export const Session: Record<string, any>;
+  export const Info: Record<string, any>;
+  export const Request: Record<string, any>;
+  export const Header: Record<string, any>;
+  export const Output: Record<string, any>;
+  export const Filter: Record<string, any>;
   export const File: Record<string, any>;
 }
 
@@ -47,3 +52,9 @@ export namespace PHP {
 export const JlivePHP: Record<string, any> & { foreach: (value: any[]|Record<string, any>, callback: (item:any, key:any, source:any)=>void) => void };
 export const JliveFile: Record<string, any>;
 export const JliveEncrypt: Record<string, any>;
+
+/** Framework adapters: start the session, expose `session` / `cookies`, close on response end. */
+export function expressSession(options?: Record<string, any>): (req: any, res: any, next: (err?: any) => void) => void;
+export function koaSession(options?: Record<string, any>): (ctx: any, next: () => Promise<any>) => Promise<void>;
+export function fastifySession(options?: Record<string, any>): (fastify: any, opts: any, done: (err?: Error) => void) => void;
+export function httpSession(handler: (req: any, res: any) => any, options?: Record<string, any>): (req: any, res: any) => Promise<void>;
@@ -23,8 +23,14 @@ import * as LocaleMod from "./src/php/locale.js";
 import * as NetworkMod from "./src/php/network.js";
 import * as CookieMod from "./src/php/cookie.js";
 import * as SessionMod from "./src/php/session.js";
+import * as InfoMod from "./src/php/info.js";
+import * as RequestMod from "./src/php/request.js";
+import * as HeaderMod from "./src/php/header.js";
+import * as OutputMod from "./src/php/output.js";
+import * as FilterMod from "./src/php/filter.js";
 
 export { chain, Chain } from "./src/chain.js";
+export { expressSession, koaSession, fastifySession, httpSession } from "./src/middleware.js";
 
 /**
  * Namespaced modules (recommended).
@@ -45,6 +51,11 @@ export const PHP = Object.freeze({
   Network: NetworkMod,
   Cookie: CookieMod,
   Session: SessionMod,
+  Info: InfoMod,
+  Request: RequestMod,
+  Header: HeaderMod,
+  Output: OutputMod,
+  Filter: FilterMod,
 });
 
 /**
@@ -68,6 +79,11 @@ export const JlivePHP = {
   ...NetworkMod,
   ...CookieMod,
   ...SessionMod,
+  ...InfoMod,
+  ...RequestMod,
+  ...HeaderMod,
+  ...OutputMod,
+  ...FilterMod,
 };
 
 // Provide exact PHP name for foreach (JS keyword safe in module name).
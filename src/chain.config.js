@@ -51,7 +51,10 @@ export const CHAIN_RULES = [
   { ns: "L", path: "./php/locale.js",    defaultInject: "first", skip: new Set(["setlocale"]) },
 
   // Intentionally excluded from auto-chain:
-  // N (network, async), K (cookie req/res), X (session req/res), F (file side effects)
+  // N (network, async), K (cookie req/res), X (session req/res), F (file side effects),
+  // I (ini settings, global state), R (request superglobals, req),
+  // H (headers, response), O (output buffering, side effects),
+  // Q (filter, async request input)
 ];
 
 /**
@@ -23,6 +23,11 @@ import * as N from "./php/network.js";
 import * as K from "./php/cookie.js";
 import * as X from "./php/session.js";
 import * as F from "./php/file.js";
+import * as I from "./php/info.js";
+import * as R from "./php/request.js";
+import * as H from "./php/header.js";
+import * as O from "./php/output.js";
+import * as Q from "./php/filter.js";
 
 /**
  * @template T
@@ -109,7 +114,7 @@ export function chain(value) {
  * All modules (useful for advanced usage/extensions).
  * Exported even if skipped for auto-chain.
  */
-export const modules = Object.freeze({ V, S, A, M, D, J, C, P, Z, L, N, K, X, F });
+export const modules = Object.freeze({ V, S, A, M, D, J, C, P, Z, L, N, K, X, F, I, R, H, O, Q });
 
 /* -------------------------------------------------------------------------- */
 /*                           AUTO-GENERATED METHODS                           */
@@ -184,7 +189,7 @@ function addChainMethods(mod, defaultInject, skip) {
  * Map namespace key -> actual imported module object.
  * This lets chain.config.js stay generator-friendly (ns/path) while runtime uses real modules.
  */
-const NS_TO_MODULE = Object.freeze({ V, S, A, M, D, J, C, P, Z, L, N, K, X, F });
+const NS_TO_MODULE = Object.freeze({ V, S, A, M, D, J, C, P, Z, L, N, K, X, F, I, R, H, O, Q });
 
 // Apply generation based on config
 for (const rule of CHAIN_RULES) {
@@ -0,0 +1,161 @@
+/**
+ * Strict IP address and CIDR parsing shared by inet_pton(), the subnet helpers and FILTER_VALIDATE_IP.
+ *
+ * Addresses are accepted in the forms the C library's inet_pton() accepts: dotted-quad IPv4 without
+ * leading zeros, and IPv6 with at most one "::" and an optional dotted IPv4 tail. Zone ids
+ * ("fe80::1%eth0") are rejected.
+ *
+ * @module internal/ip
+ */
+
+/**
+ * @typedef {object} Cidr
+ * @property {Uint8Array} bytes network address (host bits cleared), 4 or 16 bytes
+ * @property {number} prefix
+ */
+
+/**
+ * @param {string} s
+ * @returns {Uint8Array|null}
+ */
+function _parseIPv4(s) {
+  if (!/^(?:0|[1-9]\d{0,2})(?:\.(?:0|[1-9]\d{0,2})){3}$/.test(s)) return null;
+  const nums = s.split(".").map(Number);
+  return nums.every((n) => n <= 255) ? Uint8Array.from(nums) : null;
+}
+
+/**
+ * @param {string} s
+ * @returns {Uint8Array|null}
+ */
+function _parseIPv6(s) {
+  // a dotted IPv4 tail stands for the last two groups
+  const lastColon = s.lastIndexOf(":");
+  if (lastColon !== -1 && s.includes(".", lastColon)) {
+    const v4 = _parseIPv4(s.slice(lastColon + 1));
+    if (!v4) return null;
+    s = `${s.slice(0, lastColon + 1)}${((v4[0] << 8) | v4[1]).toString(16)}:${((v4[2] << 8) | v4[3]).toString(16)}`;
+  }
+  const halves = s.split("::");
+  if (halves.length > 2) return null;
+  const groups = halves.map((h) => (h === "" ? [] : h.split(":")));
+  if (groups.some((g) => g.some((h) => !/^[0-9A-Fa-f]{1,4}$/.test(h)))) return null;
+  const count = groups.reduce((n, g) => n + g.length, 0);
+  // without "::" all 8 groups are needed; "::" stands for at least one
+  if (halves.length === 1 ? count !== 8 : count > 7) return null;
+  const words = halves.length === 1 ? groups[0] : [...groups[0], ...Array(8 - count).fill("0"), ...groups[1]];
+  const out = new Uint8Array(16);
+  words.forEach((h, i) => {
+    const v = parseInt(h, 16);
+    out[i * 2] = v >> 8;
+    out[i * 2 + 1] = v & 0xff;
+  });
+  return out;
+}
+
+/**
+ * Parse an IPv4 or IPv6 address.
+ * @param {string} s
+ * @returns {Uint8Array|null} 4 or 16 bytes, null when malformed
+ */
+export function parseIp(s) {
+  return s.includes(":") ? _parseIPv6(s) : _parseIPv4(s);
+}
+
+/**
+ * Parse "address/prefix" (a bare address is a single-host network). Host bits are cleared.
+ * @param {string} s
+ * @returns {Cidr|null}
+ */
+export function parseCidr(s) {
+  const slash = s.indexOf("/");
+  const bytes = parseIp(slash === -1 ? s : s.slice(0, slash));
+  if (!bytes) return null;
+  const bits = bytes.length * 8;
+  let prefix = bits;
+  if (slash !== -1) {
+    const p = s.slice(slash + 1);
+    if (!/^(?:0|[1-9]\d{0,2})$/.test(p) || Number(p) > bits) return null;
+    prefix = Number(p);
+  }
+  return { bytes: applyMask(bytes, prefix), prefix };
+}
+
+/**
+ * Copy of `bytes` with every bit after the first `prefix` cleared.
+ * @param {Uint8Array} bytes
+ * @param {number} prefix
+ * @returns {Uint8Array}
+ */
+export function applyMask(bytes, prefix) {
+  const out = Uint8Array.from(bytes);
+  for (let i = 0; i < out.length; i++) {
+    const keep = Math.min(8, Math.max(0, prefix - i * 8));
+    out[i] &= (0xff00 >> keep) & 0xff;
+  }
+  return out;
+}
+
+/**
+ * Whether the address lies in the network. An IPv4-mapped IPv6 address (::ffff:a.b.c.d) matches
+ * IPv4 networks as its IPv4 address.
+ * @param {Uint8Array} bytes
+ * @param {Cidr} cidr
+ * @returns {boolean}
+ */
+export function inCidr(bytes, cidr) {
+  if (bytes.length === 16 && cidr.bytes.length === 4 && isIPv4Mapped(bytes)) bytes = bytes.subarray(12);
+  if (bytes.length !== cidr.bytes.length) return false;
+  const masked = applyMask(bytes, cidr.prefix);
+  return masked.every((b, i) => b === cidr.bytes[i]);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} whether a 16-byte address is in ::ffff:0:0/96
+ */
+export function isIPv4Mapped(bytes) {
+  return bytes.length === 16 && bytes.subarray(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {bigint}
+ */
+export function bytesToBigInt(bytes) {
+  let n = 0n;
+  for (const b of bytes) n = (n << 8n) | BigInt(b);
+  return n;
+}
+
+/**
+ * @param {bigint} n
+ * @param {number} length 4 or 16
+ * @returns {Uint8Array}
+ */
+export function bigIntToBytes(n, length) {
+  const out = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    out[i] = Number(n & 0xffn);
+    n >>= 8n;
+  }
+  return out;
+}
+
+/** @param {string[]} list @returns {Cidr[]} */
+function _cidrs(list) {
+  return list.map((s) => /** @type {Cidr} */ (parseCidr(s)));
+}
+
+/**
+ * Ranges rejected by FILTER_VALIDATE_IP's range flags (RFC 6890), as PHP documents them.
+ * GLOBAL_RANGE also rejects the private and reserved ones.
+ */
+export const IP_RANGES = Object.freeze({
+  private4: _cidrs(["10.0.0.0/8", "172.16.0.0/12", "192.168.0.0/16"]),
+  private6: _cidrs(["fc00::/7"]),
+  reserved4: _cidrs(["0.0.0.0/8", "127.0.0.0/8", "169.254.0.0/16", "240.0.0.0/4"]),
+  reserved6: _cidrs(["::/128", "::1/128", "::ffff:0:0/96", "fe80::/10"]),
+  nonGlobal4: _cidrs(["100.64.0.0/10", "192.0.0.0/24", "192.0.2.0/24", "198.18.0.0/15", "198.51.100.0/24", "203.0.113.0/24"]),
+  nonGlobal6: _cidrs(["100::/64", "2001::/23", "2001:db8::/32"]),
+});
@@ -0,0 +1,289 @@
+/**
+ * Streaming multipart/form-data parser (RFC 7578) behind $_POST/$_FILES.
+ *
+ * The body is consumed chunk by chunk: fields are buffered, file parts are written straight to
+ * temporary files (registered in internal/uploads) so large uploads never sit in memory.
+ * Limits and error codes follow PHP's rfc1867 handler (UPLOAD_ERR_*).
+ *
+ * @module internal/multipart
+ */
+
+import crypto from "node:crypto";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { percentDecode } from "./registerVariable.js";
+import { trackUpload, untrackUpload } from "./uploads.js";
+
+/** PHP's UPLOAD_ERR_* values. */
+export const UPLOAD_ERR = Object.freeze({
+  OK: 0,
+  INI_SIZE: 1,
+  FORM_SIZE: 2,
+  PARTIAL: 3,
+  NO_FILE: 4,
+  NO_TMP_DIR: 6,
+  CANT_WRITE: 7,
+  EXTENSION: 8,
+});
+
+/** Part headers larger than this are treated as a malformed body. */
+const _MAX_HEADER_BYTES = 16 * 1024;
+
+/**
+ * @typedef {object} MultipartLimits
+ * @property {number} maxBody post_max_size in bytes; a larger body yields nothing
+ * @property {number} maxFile upload_max_filesize in bytes
+ * @property {number} maxFiles max_file_uploads; further file parts are skipped
+ * @property {boolean} fileUploads file_uploads; when off, file parts are skipped
+ * @property {string} tmpDir directory for the temporary files
+ */
+
+/**
+ * @typedef {object} UploadedFile
+ * @property {string} field form field name, e.g. "files[]"
+ * @property {string} name client file name without directories
+ * @property {string} fullPath client file name as sent (PHP 8.1 full_path)
+ * @property {string} type client-supplied Content-Type
+ * @property {string} tmpName temporary file ("" on error)
+ * @property {number} error UPLOAD_ERR_* code
+ * @property {number} size bytes (0 on error)
+ */
+
+/**
+ * Boundary parameter of a multipart Content-Type header ("" when missing or invalid).
+ * @param {string} contentType
+ * @returns {string}
+ */
+export function multipartBoundary(contentType) {
+  const m = /;\s*boundary\s*=\s*(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  const b = m ? (m[1] ?? m[2]) : "";
+  return b.length <= 70 ? b : "";
+}
+
+/**
+ * Only an escaped quote is unescaped, like PHP: old browsers send Windows paths with raw backslashes.
+ * @param {string} v possibly quoted parameter value
+ * @returns {string}
+ */
+function _unquote(v) {
+  const t = v.trim();
+  if (t.length >= 2 && t.startsWith('"') && t.endsWith('"')) return t.slice(1, -1).replace(/\\"/g, '"');
+  return t;
+}
+
+/**
+ * name and filename of a Content-Disposition header; filename is null for plain fields.
+ * @param {string} header
+ * @returns {{name:string, filename:string|null}}
+ */
+function _disposition(header) {
+  const params = {};
+  const re = /;\s*([^=;\s]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  for (let m; (m = re.exec(header)); ) params[m[1].toLowerCase()] = _unquote(m[2]);
+  let filename = params.filename ?? null;
+  // RFC 5987 extended value: filename*=UTF-8''na%C3%AFve.txt
+  const ext = /^([^']*)'[^']*'(.*)$/.exec(params["filename*"] ?? "");
+  if (ext && /^utf-8$/i.test(ext[1])) filename = percentDecode(ext[2]);
+  return { name: params.name ?? "", filename };
+}
+
+/**
+ * @param {string} head raw header block of one part
+ * @returns {Record<string, string>}
+ */
+function _partHeaders(head) {
+  const out = {};
+  for (const line of head.split("\r\n")) {
+    const idx = line.indexOf(":");
+    if (idx > 0) out[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+  return out;
+}
+
+/** @param {string} file */
+async function _discard(file) {
+  untrackUpload(file);
+  await fsp.rm(file, { force: true });
+}
+
+/**
+ * Parse a multipart body.
+ * @param {AsyncIterable<Buffer>|any} stream the request
+ * @param {string} boundary
+ * @param {MultipartLimits} limits
+ * @returns {Promise<{fields:Array<[string, string]>, files:UploadedFile[], tooLarge:boolean}>}
+ */
+export async function parseMultipart(stream, boundary, limits) {
+  /** @type {Array<[string, string]>} */
+  const fields = [];
+  /** @type {UploadedFile[]} */
+  const files = [];
+  if (!boundary || typeof stream?.[Symbol.asyncIterator] !== "function") return { fields, files, tooLarge: false };
+
+  const dashBoundary = Buffer.from(`--${boundary}`);
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  /** @type {"preamble"|"after"|"headers"|"body"} */
+  let state = "preamble";
+  let buf = Buffer.alloc(0);
+  let total = 0;
+  let tooLarge = false;
+  let done = false;
+  let fileCount = 0;
+  let formMax = Infinity; // MAX_FILE_SIZE form field, applies to the files after it
+  /** @type {any} current part: {kind:"skip"} | {kind:"field", name, chunks} | {kind:"file", file:UploadedFile, handle} */
+  let part = null;
+
+  const startPart = async (head) => {
+    const headers = _partHeaders(head);
+    const { name, filename } = _disposition(headers["content-disposition"] ?? "");
+    if (name === "") return { kind: "skip" };
+    if (filename === null) return { kind: "field", name, chunks: [] };
+    if (!limits.fileUploads) return { kind: "skip" };
+
+    const file = { field: name, name: filename.replace(/^.*[\\/]/, ""), fullPath: filename, type: headers["content-type"] ?? "", tmpName: "", error: UPLOAD_ERR.OK, size: 0 };
+    if (filename === "") {
+      file.type = "";
+      file.error = UPLOAD_ERR.NO_FILE;
+      return { kind: "file", file, handle: null };
+    }
+    // PHP drops file parts beyond max_file_uploads entirely.
+    if (fileCount >= limits.maxFiles) return { kind: "skip" };
+    fileCount++;
+    const tmp = path.join(limits.tmpDir, `php${crypto.randomBytes(6).toString("hex")}`);
+    let handle = null;
+    try {
+      handle = await fsp.open(tmp, "wx", 0o600);
+      trackUpload(tmp);
+      file.tmpName = tmp;
+    } catch (e) {
+      file.error = e?.code === "ENOENT" ? UPLOAD_ERR.NO_TMP_DIR : UPLOAD_ERR.CANT_WRITE;
+    }
+    return { kind: "file", file, handle };
+  };
+
+  const partData = async (data) => {
+    if (!part || data.length === 0) return;
+    if (part.kind === "field") {
+      part.chunks.push(Buffer.from(data));
+      return;
+    }
+    if (part.kind !== "file" || part.file.error !== UPLOAD_ERR.OK) return;
+    const f = part.file;
+    f.size += data.length;
+    if (f.size > limits.maxFile) f.error = UPLOAD_ERR.INI_SIZE;
+    else if (f.size > formMax) f.error = UPLOAD_ERR.FORM_SIZE;
+    else {
+      try {
+        await part.handle.write(data);
+      } catch {
+        f.error = UPLOAD_ERR.CANT_WRITE;
+      }
+    }
+  };
+
+  const endPart = async (partial) => {
+    const p = part;
+    part = null;
+    if (!p || p.kind === "skip") return;
+    if (p.kind === "field") {
+      if (partial) return;
+      const value = Buffer.concat(p.chunks).toString("utf8");
+      fields.push([p.name, value]);
+      if (p.name === "MAX_FILE_SIZE") formMax = Number.parseInt(value, 10) > 0 ? Number.parseInt(value, 10) : Infinity;
+      return;
+    }
+    const f = p.file;
+    await p.handle?.close().catch(() => {});
+    if (partial && f.error === UPLOAD_ERR.OK) f.error = UPLOAD_ERR.PARTIAL;
+    if (f.error !== UPLOAD_ERR.OK) {
+      if (f.tmpName) await _discard(f.tmpName);
+      f.tmpName = "";
+      f.size = 0;
+    }
+    files.push(f);
+  };
+
+  const consume = async () => {
+    for (;;) {
+      if (state === "preamble") {
+        const idx = buf.indexOf(dashBoundary);
+        if (idx === -1) {
+          buf = Buffer.from(buf.subarray(Math.max(0, buf.length - dashBoundary.length + 1)));
+          return;
+        }
+        buf = buf.subarray(idx + dashBoundary.length);
+        state = "after";
+      }
+      if (state === "after") {
+        if (buf.length < 2) return;
+        if (buf[0] === 0x2d && buf[1] === 0x2d) {
+          done = true; // close delimiter "--boundary--"; the epilogue is ignored
+          return;
+        }
+        // transport padding may precede the CRLF
+        const crlf = buf.indexOf("\r\n");
+        if (crlf === -1) {
+          if (buf.length > 1024) done = true;
+          return;
+        }
+        buf = buf.subarray(crlf + 2);
+        state = "headers";
+      }
+      if (state === "headers") {
+        let head = "";
+        if (buf.length >= 2 && buf[0] === 0x0d && buf[1] === 0x0a) {
+          buf = buf.subarray(2); // part without headers
+        } else {
+          const end = buf.indexOf("\r\n\r\n");
+          if (end === -1) {
+            if (buf.length > _MAX_HEADER_BYTES) done = true;
+            return;
+          }
+          head = buf.subarray(0, end).toString("utf8");
+          buf = buf.subarray(end + 4);
+        }
+        part = await startPart(head);
+        state = "body";
+      }
+      if (state === "body") {
+        const idx = buf.indexOf(delimiter);
+        if (idx === -1) {
+          // keep a possible partial delimiter for the next chunk
+          const keep = delimiter.length - 1;
+          if (buf.length > keep) {
+            await partData(buf.subarray(0, buf.length - keep));
+            buf = Buffer.from(buf.subarray(buf.length - keep));
+          }
+          return;
+        }
+        await partData(buf.subarray(0, idx));
+        buf = buf.subarray(idx + delimiter.length);
+        await endPart(false);
+        state = "after";
+      }
+    }
+  };
+
+  try {
+    for await (const chunk of stream) {
+      // keep draining after the end or an overflow so the client is not left hanging
+      if (done || tooLarge) continue;
+      total += chunk.length;
+      if (total > limits.maxBody) {
+        tooLarge = true;
+        continue;
+      }
+      buf = buf.length ? Buffer.concat([buf, chunk]) : Buffer.from(chunk);
+      await consume();
+    }
+  } catch {
+    // aborted request: whatever is in flight is partial
+  }
+  await endPart(true);
+
+  if (tooLarge) {
+    for (const f of files) if (f.tmpName) await _discard(f.tmpName);
+    return { fields: [], files: [], tooLarge: true };
+  }
+  return { fields, files, tooLarge: false };
+}
@@ -0,0 +1,192 @@
+/**
+ * PHP's output layer: the stack of output buffers behind echo/print/printf and the ob_* functions.
+ *
+ * Output goes to the innermost buffer or, when none is active, to the current response (see
+ * internal/response) or to stdout outside a request. Each response has its own stack. Buffers still
+ * open when the response ends (or, for stdout, when the process exits) are flushed first, like PHP
+ * at the end of a script.
+ *
+ * @module internal/output
+ */
+
+import { currentResponse } from "./response.js";
+
+/** PHP_OUTPUT_HANDLER_* phase and capability flags. */
+export const HANDLER = Object.freeze({
+  WRITE: 0,
+  START: 1,
+  CLEAN: 2,
+  FLUSH: 4,
+  FINAL: 8,
+  CLEANABLE: 16,
+  FLUSHABLE: 32,
+  REMOVABLE: 64,
+  STDFLAGS: 112,
+  STARTED: 4096,
+});
+
+/**
+ * @typedef {object} OutputBuffer
+ * @property {((buffer:string, phase:number) => any)|null} callback
+ * @property {string} name handler name reported by ob_list_handlers()
+ * @property {number} chunkSize flush once the buffer holds this many bytes (0: never)
+ * @property {number} flags HANDLER.CLEANABLE | FLUSHABLE | REMOVABLE
+ * @property {string} data
+ * @property {boolean} started whether the callback has seen HANDLER.START
+ */
+
+/**
+ * @typedef {object} OutputStack
+ * @property {OutputBuffer[]} buffers innermost last
+ * @property {(s:string) => void} sink where unbuffered output goes
+ * @property {boolean} busy true while a handler runs; output from handlers is discarded, as in PHP
+ * @property {boolean} hooked whether the end-of-output flush is installed
+ * @property {any} res the response, or null for stdout
+ */
+
+/** res -> OutputStack */
+const _stacks = new WeakMap();
+/** @type {OutputStack|null} */
+let _stdoutStack = null;
+
+/**
+ * @param {any} res
+ * @returns {OutputStack}
+ */
+function _newStack(res) {
+  const sink = res
+    ? (s) => {
+        if (s !== "" && !res.writableEnded && !res.destroyed) res.write(s);
+      }
+    : (s) => {
+        try { process?.stdout?.write?.(s); } catch {}
+      };
+  return { buffers: [], sink, busy: false, hooked: false, res };
+}
+
+/**
+ * Output stack of the current response, or the stdout one outside a request. The response comes
+ * from the caller's own request context: a response of an earlier request on the same keep-alive
+ * connection has finished, and is never written to again.
+ * @returns {OutputStack}
+ */
+export function outputStack() {
+  const res = currentResponse();
+  if (!res) return (_stdoutStack ??= _newStack(null));
+  let st = _stacks.get(res);
+  if (!st) {
+    st = _newStack(res);
+    _stacks.set(res, st);
+  }
+  return st;
+}
+
+/**
+ * Run a buffer's handler over its contents and empty it.
+ * @param {OutputStack} st
+ * @param {OutputBuffer} buf
+ * @param {number} phase HANDLER.WRITE | FLUSH | CLEAN | FINAL
+ * @returns {string} what the handler passes on
+ */
+function _process(st, buf, phase) {
+  const data = buf.data;
+  buf.data = "";
+  if (!buf.callback) return data;
+  if (!buf.started) {
+    phase |= HANDLER.START;
+    buf.started = true;
+  }
+  st.busy = true;
+  try {
+    const out = buf.callback(data, phase);
+    return out === false ? data : out === null || out === undefined ? "" : String(out);
+  } finally {
+    st.busy = false;
+  }
+}
+
+/**
+ * Append to buffer `level` (0-based), or to the sink for level -1.
+ * @param {OutputStack} st
+ * @param {number} level
+ * @param {string} s
+ */
+function _writeAt(st, level, s) {
+  if (level < 0) {
+    st.sink(s);
+    return;
+  }
+  const buf = st.buffers[level];
+  buf.data += s;
+  if (buf.chunkSize > 0 && Buffer.byteLength(buf.data, "utf8") >= buf.chunkSize) {
+    _writeAt(st, level - 1, _process(st, buf, HANDLER.WRITE));
+  }
+}
+
+/**
+ * Write to the output: the innermost buffer, the response or stdout.
+ * @param {string} s
+ */
+export function writeOutput(s) {
+  const st = outputStack();
+  if (st.busy || s === "") return;
+  _writeAt(st, st.buffers.length - 1, s);
+}
+
+/**
+ * @param {OutputStack} st
+ * @param {OutputBuffer} buf
+ */
+export function pushBuffer(st, buf) {
+  st.buffers.push(buf);
+  if (st.hooked) return;
+  st.hooked = true;
+  if (st.res) {
+    const res = st.res;
+    if (typeof res.end !== "function") return;
+    const end = res.end;
+    res.end = function (...args) {
+      endAllBuffers(st);
+      return end.apply(this, args);
+    };
+  } else {
+    process.once("exit", () => endAllBuffers(st));
+  }
+}
+
+/**
+ * Pass the innermost buffer's contents on (HANDLER.FLUSH) and keep it open.
+ * @param {OutputStack} st
+ */
+export function flushBuffer(st) {
+  const level = st.buffers.length - 1;
+  _writeAt(st, level - 1, _process(st, st.buffers[level], HANDLER.FLUSH));
+}
+
+/**
+ * Discard the innermost buffer's contents (the handler still sees them, with HANDLER.CLEAN).
+ * @param {OutputStack} st
+ */
+export function cleanBuffer(st) {
+  _process(st, st.buffers[st.buffers.length - 1], HANDLER.CLEAN);
+}
+
+/**
+ * Close the innermost buffer, passing its contents on or discarding them.
+ * @param {OutputStack} st
+ * @param {boolean} flush
+ */
+export function endBuffer(st, flush) {
+  const buf = st.buffers[st.buffers.length - 1];
+  const out = _process(st, buf, flush ? HANDLER.FINAL : HANDLER.CLEAN | HANDLER.FINAL);
+  st.buffers.pop();
+  if (flush) _writeAt(st, st.buffers.length - 1, out);
+}
+
+/**
+ * Flush and close every buffer, innermost first.
+ * @param {OutputStack} st
+ */
+export function endAllBuffers(st) {
+  while (st.buffers.length) endBuffer(st, true);
+}
@@ -0,0 +1,195 @@
+/**
+ * PHP's request-variable registration (php_register_variable_ex) and URL decoding.
+ * Shared by the superglobal builders ($_COOKIE, ...), which all turn raw `name=value`
+ * pairs into the same nested structure PHP would:
+ *
+ * - leading spaces in a name are dropped; " " and "." before the first "[" become "_",
+ * - `a[b][]=x` builds nested arrays; `[]` appends; text after a closing "]" that does
+ *   not open another "[" is ignored; an unterminated first "[" becomes "_",
+ * - list-like arrays (keys 0..n-1) come out as JS arrays, others as plain objects,
+ * - like PHP's max_input_vars and max_input_nesting_level, callers cap the number of variables
+ *   and names nested deeper than the limit are dropped.
+ *
+ * @module internal/registerVariable
+ */
+
+/**
+ * Define an own, enumerable property (safe for keys like "__proto__").
+ * @param {Record<string, any>} obj
+ * @param {string} key
+ * @param {any} value
+ */
+function _put(obj, key, value) {
+  Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/** @param {any} v @returns {boolean} */
+function _isContainer(v) {
+  return v !== null && typeof v === "object";
+}
+
+/** PHP's defaults for max_input_vars and max_input_nesting_level. */
+export const INPUT_LIMITS = Object.freeze({ maxVars: 1000, maxNesting: 64 });
+
+/** container -> next append index, like PHP's nNextFreeElement (so `[]` appends stay O(1)). */
+const _nextFree = new WeakMap();
+
+/** @param {string} key @returns {boolean} */
+function _isIntKey(key) {
+  return /^(0|-?[1-9]\d*)$/.test(key);
+}
+
+/**
+ * Next append index of a container.
+ * @param {Record<string, any>} obj
+ * @returns {number}
+ */
+function _nextIndex(obj) {
+  let next = _nextFree.get(obj);
+  if (next === undefined) {
+    // a container not built here (a pre-filled track): scan it once
+    next = 0;
+    for (const k of Object.keys(obj)) if (_isIntKey(k)) next = Math.max(next, Number(k) + 1);
+    _nextFree.set(obj, next);
+  }
+  return next;
+}
+
+/**
+ * _put() that keeps the container's next append index up to date.
+ * @param {Record<string, any>} obj
+ * @param {string} key
+ * @param {any} value
+ */
+function _putEntry(obj, key, value) {
+  const next = _nextIndex(obj);
+  if (_isIntKey(key) && Number(key) >= next) _nextFree.set(obj, Number(key) + 1);
+  _put(obj, key, value);
+}
+
+/**
+ * Split a variable name into its base name and bracket indexes, mangled the way PHP does.
+ * `null` indexes stand for `[]` (append). Returns null for names PHP drops, including names
+ * nested deeper than `maxNesting` (max_input_nesting_level).
+ * @param {string} name
+ * @param {number} [maxNesting=INPUT_LIMITS.maxNesting]
+ * @returns {{base:string, indexes:Array<string|null>}|null}
+ */
+export function parseVariableName(name, maxNesting = INPUT_LIMITS.maxNesting) {
+  const s = name.replace(/^ +/, "");
+  let base = "";
+  let i = 0;
+  for (; i < s.length; i++) {
+    const c = s[i];
+    if (c === "[") break;
+    base += c === " " || c === "." ? "_" : c;
+  }
+  if (base === "") return null;
+
+  /** @type {Array<string|null>} */
+  const indexes = [];
+  while (i < s.length && s[i] === "[") {
+    const close = s.indexOf("]", i + 1);
+    if (close === -1) {
+      // "a[b" is the plain name "a_b"; a later unterminated "[" is dropped.
+      if (indexes.length === 0) base += `_${s.slice(i + 1)}`;
+      break;
+    }
+    if (indexes.length === maxNesting) return null;
+    const idx = s.slice(i + 1, close);
+    indexes.push(idx === "" ? null : idx);
+    i = close + 1;
+  }
+  return { base, indexes };
+}
+
+/**
+ * Register one variable into `track`.
+ * @param {Record<string, any>} track target object (mutated)
+ * @param {string} name raw (already decoded) variable name, e.g. "a[b][]"
+ * @param {any} value
+ * @param {boolean} [keepFirst=false] keep an existing value instead of overwriting it (PHP's cookie rule)
+ * @param {number} [maxNesting=INPUT_LIMITS.maxNesting] deeper names are dropped
+ * @returns {void}
+ */
+export function registerVariable(track, name, value, keepFirst = false, maxNesting = INPUT_LIMITS.maxNesting) {
+  const parsed = parseVariableName(name, maxNesting);
+  if (!parsed) return;
+  const keys = [parsed.base, ...parsed.indexes];
+
+  let cur = track;
+  for (let n = 0; n < keys.length; n++) {
+    const key = keys[n] ?? String(_nextIndex(cur));
+    const last = n === keys.length - 1;
+    const exists = Object.prototype.hasOwnProperty.call(cur, key);
+    if (last) {
+      if (!(keepFirst && exists)) _putEntry(cur, key, value);
+      return;
+    }
+    if (!exists || !_isContainer(cur[key])) _putEntry(cur, key, {});
+    cur = cur[key];
+  }
+}
+
+/**
+ * Convert list-like containers (keys exactly "0".."n-1") to JS arrays, recursively.
+ * @param {any} value
+ * @param {boolean} [keepRoot=false] leave `value` itself an object (superglobals are always keyed)
+ * @returns {any}
+ */
+export function toPhpArrays(value, keepRoot = false) {
+  if (!_isContainer(value)) return value;
+  const keys = Object.keys(value);
+  for (const k of keys) _put(value, k, toPhpArrays(value[k]));
+  if (!keepRoot && keys.length > 0 && keys.every((k, i) => k === String(i))) return keys.map((k) => value[k]);
+  return value;
+}
+
+/**
+ * Tolerant percent-decoding: valid %XX escapes become bytes, anything else is kept literally,
+ * and the bytes are read as UTF-8 (invalid sequences become U+FFFD). Never throws.
+ * @param {string} str
+ * @param {boolean} [plusAsSpace=false] urldecode() semantics instead of rawurldecode()
+ * @returns {string}
+ */
+export function percentDecode(str, plusAsSpace = false) {
+  if (!str.includes("%")) return plusAsSpace ? str.replace(/\+/g, " ") : str;
+  const bytes = [];
+  for (let i = 0; i < str.length; i++) {
+    const c = str[i];
+    if (c === "%" && /^[0-9a-fA-F]{2}$/.test(str.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(str.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else if (c === "+" && plusAsSpace) {
+      bytes.push(0x20);
+    } else {
+      const cp = /** @type {number} */ (str.codePointAt(i));
+      if (cp > 0xffff) i++;
+      bytes.push(...Buffer.from(String.fromCodePoint(cp), "utf8"));
+    }
+  }
+  return Buffer.from(bytes).toString("utf8");
+}
+
+/**
+ * Parse an application/x-www-form-urlencoded string (query string or POST body) the way PHP
+ * fills $_GET/$_POST: names and values are urldecode()d, later duplicates overwrite earlier ones.
+ * Like PHP, pairs beyond `maxVars` (max_input_vars) are ignored.
+ * @param {string} str
+ * @param {{maxVars?:number, maxNesting?:number}} [limits] defaults to INPUT_LIMITS
+ * @returns {Record<string, any>}
+ */
+export function parseFormEncoded(str, limits = {}) {
+  const { maxVars, maxNesting } = { ...INPUT_LIMITS, ...limits };
+  const track = {};
+  let count = 0;
+  for (const pair of str.split("&")) {
+    if (pair === "") continue;
+    if (++count > maxVars) break;
+    const idx = pair.indexOf("=");
+    const name = percentDecode(idx === -1 ? pair : pair.slice(0, idx), true);
+    const value = idx === -1 ? "" : percentDecode(pair.slice(idx + 1), true);
+    registerVariable(track, name, value, false, maxNesting);
+  }
+  return toPhpArrays(track, true);
+}
@@ -0,0 +1,188 @@
+/**
+ * The response of the request being handled, and the low-level header writes shared by the
+ * header, cookie and session modules.
+ *
+ * - bindResponse() stores {req, res} in an AsyncLocalStorage context, so code running for a request
+ *   (header(), setcookie() without `res`, ...) finds its response without passing it around.
+ *   Like session_start(), it must run synchronously before the caller's first await.
+ *   Run from a request listener, that context is the connection's, which the next request on a
+ *   keep-alive connection shares: a context whose response has finished is therefore ignored, and
+ *   runWithResponse() scopes the context to one request instead.
+ * - Header writes go through setHeaderLine()/appendHeaderLine(), which refuse once headers are sent
+ *   and run the header_register_callback() callback right before they are.
+ *
+ * @module internal/response
+ */
+
+import { AsyncLocalStorage, AsyncResource } from "node:async_hooks";
+
+/** @typedef {{req:any, res:any}} ResponseContext */
+
+/** @type {AsyncLocalStorage<ResponseContext>} */
+const _als = new AsyncLocalStorage();
+
+/** res -> callback registered with header_register_callback() */
+const _callbacks = new WeakMap();
+/** responses with finish/close listeners, and those that have finished */
+const _watched = new WeakSet();
+const _finished = new WeakSet();
+/** responses whose writeHead is wrapped to run the callback */
+const _hooked = new WeakSet();
+
+/**
+ * The bound context, or null outside any bound request. A context whose response has finished is
+ * left over from an earlier request on the same connection, and is not returned.
+ * @returns {ResponseContext|null}
+ */
+export function currentContext() {
+  const ctx = _als.getStore();
+  return ctx && !_finished.has(ctx.res) ? ctx : null;
+}
+
+/**
+ * Bind `res` (and its `req`) as the current response of this async context.
+ * @param {any} req
+ * @param {any} res
+ * @returns {ResponseContext}
+ */
+export function bindResponse(req, res) {
+  const cur = currentContext();
+  if (cur && cur.res === res) return cur;
+  // a context opened before the response was known (session_id() before session_start())
+  if (cur && cur.req === null && cur.res === null) {
+    cur.req = req;
+    cur.res = res;
+    _watchFinish(res);
+    return cur;
+  }
+  const ctx = { req, res };
+  _watchFinish(res);
+  _als.enterWith(ctx);
+  return ctx;
+}
+
+/**
+ * Remember when `res` finishes. The events come after res.end() returns, so the request's own
+ * code right after it still finds its response (and headers_sent() is true).
+ * @param {any} res
+ */
+function _watchFinish(res) {
+  if (typeof res?.once !== "function" || _watched.has(res)) return;
+  _watched.add(res);
+  const done = () => _finished.add(res);
+  res.once("finish", done);
+  res.once("close", done);
+}
+
+/**
+ * Run `fn` with `res` as the current response, in a context of its own that ends with the
+ * request. Events of `req` run in it too: body parsers call their `next()` from them.
+ * @template T
+ * @param {any} req
+ * @param {any} res
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithResponse(req, res, fn) {
+  return _als.run({ req, res }, () => {
+    if (typeof req?.emit === "function") req.emit = AsyncResource.bind(req.emit, "RESPONSE_CONTEXT", req);
+    return fn();
+  });
+}
+
+/**
+ * The current response, or null outside any bound request.
+ * @returns {any}
+ */
+export function currentResponse() {
+  return currentContext()?.res ?? null;
+}
+
+/**
+ * The request bound with the current response, or null outside any bound request.
+ * @returns {any}
+ */
+export function currentRequest() {
+  return currentContext()?.req ?? null;
+}
+
+/**
+ * `res` when given, else the current response.
+ * @param {string} fn caller, for the error message
+ * @param {any} [res]
+ * @returns {any}
+ */
+export function resolveResponse(fn, res) {
+  const r = res ?? currentResponse();
+  if (!r || typeof r.setHeader !== "function") {
+    throw new TypeError(`${fn}(): no response: pass a ServerResponse-like \`res\` or call it while handling a request (session_start(), the middleware adapters, response_run() or response_bind() bind one)`);
+  }
+  return r;
+}
+
+/** @param {any} res @returns {boolean} */
+export function headersSent(res) {
+  return Boolean(res?.headersSent);
+}
+
+/**
+ * Run the registered header callback (once) right before `res` sends its headers.
+ * Node sends headers through writeHead(), also implicitly from write()/end().
+ * @param {any} res
+ */
+function _hookWriteHead(res) {
+  if (_hooked.has(res) || typeof res.writeHead !== "function") return;
+  _hooked.add(res);
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    const entry = _callbacks.get(res);
+    if (entry) {
+      _callbacks.delete(res);
+      _als.run(entry.ctx, entry.callback);
+    }
+    return writeHead.apply(this, args);
+  };
+}
+
+/**
+ * Register the callback header_register_callback() runs before the headers of `res` go out
+ * (replacing an earlier one, as in PHP).
+ * @param {any} res
+ * @param {() => void} callback
+ */
+export function registerHeaderCallback(res, callback) {
+  _hookWriteHead(res);
+  _callbacks.set(res, { callback, ctx: _als.getStore() ?? { req: null, res } });
+}
+
+/**
+ * Set a header, replacing earlier values.
+ * @param {any} res
+ * @param {string} name
+ * @param {string} value
+ * @returns {boolean} false when the headers were already sent
+ */
+export function setHeaderLine(res, name, value) {
+  if (headersSent(res)) return false;
+  res.setHeader(name, value);
+  return true;
+}
+
+/**
+ * Add a header value after the existing ones (Set-Cookie, Link, ...).
+ * @param {any} res
+ * @param {string} name
+ * @param {string} value
+ * @returns {boolean} false when the headers were already sent
+ */
+export function appendHeaderLine(res, name, value) {
+  if (headersSent(res)) return false;
+  const prev = res.getHeader?.(name);
+  if (prev === undefined || prev === null) {
+    // Set-Cookie is always kept as a list, like Node does for multiple cookies
+    res.setHeader(name, name.toLowerCase() === "set-cookie" ? [value] : value);
+    return true;
+  }
+  res.setHeader(name, [...(Array.isArray(prev) ? prev : [String(prev)]), value]);
+  return true;
+}
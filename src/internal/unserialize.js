@@ -0,0 +1,120 @@
+/**
+ * Streaming parser for PHP's serialize() wire format.
+ * Shared by unserialize() and the session serialize handlers, which need to know
+ * where one serialized value ends inside a larger string.
+ * @module internal/unserialize
+ */
+
+/**
+ * Parse one serialized value starting at `offset`.
+ * @param {string} str
+ * @param {number} [offset=0]
+ * @returns {{value:any, offset:number}} the value and the offset just past it
+ */
+export function unserializeAt(str, offset = 0) {
+  let i = offset;
+
+  const readUntil = (ch) => {
+    const start = i;
+    const idx = str.indexOf(ch, i);
+    if (idx === -1) throw new TypeError("unserialize(): Unexpected end of string");
+    i = idx + 1;
+    return str.slice(start, idx);
+  };
+
+  const readChars = (n) => {
+    const s = str.slice(i, i + n);
+    if (s.length !== n) throw new TypeError("unserialize(): Unexpected end of string");
+    i += n;
+    return s;
+  };
+
+  // `n` counts UTF-8 bytes: walk the characters until that many bytes are covered
+  const readBytes = (n) => {
+    if (!Number.isInteger(n) || n < 0) throw new TypeError(`unserialize(): Invalid string length at ${i}`);
+    const start = i;
+    let bytes = 0;
+    while (bytes < n) {
+      if (i >= str.length) throw new TypeError("unserialize(): Unexpected end of string");
+      const cp = /** @type {number} */ (str.codePointAt(i));
+      bytes += cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+      i += cp > 0xffff ? 2 : 1;
+    }
+    if (bytes !== n) throw new TypeError(`unserialize(): String length ${n} ends inside a character at ${start}`);
+    return str.slice(start, i);
+  };
+
+  const expect = (s) => {
+    if (str.slice(i, i + s.length) !== s) throw new TypeError(`unserialize(): Expected "${s}" at ${i}`);
+    i += s.length;
+  };
+
+  const parse = () => {
+    const type = str[i++];
+    switch (type) {
+      case "N":
+        expect(";");
+        return null;
+      case "b": {
+        expect(":");
+        const v = readUntil(";");
+        return v === "1";
+      }
+      case "i": {
+        expect(":");
+        const v = readUntil(";");
+        return parseInt(v, 10);
+      }
+      case "d": {
+        expect(":");
+        const v = readUntil(";");
+        return parseFloat(v);
+      }
+      case "s": {
+        expect(":");
+        const lenStr = readUntil(":");
+        const len = parseInt(lenStr, 10);
+        expect('"');
+        const value = readBytes(len);
+        expect('"');
+        expect(";");
+        return value;
+      }
+      case "a": {
+        expect(":");
+        const countStr = readUntil(":");
+        const count = parseInt(countStr, 10);
+        expect("{");
+        const obj = {};
+        let maxIndex = -1;
+        let isList = true;
+        for (let n = 0; n < count; n++) {
+          const k = parse();
+          const v = parse();
+          obj[k] = v;
+          if (typeof k === "number" && Number.isInteger(k) && k >= 0) {
+            maxIndex = Math.max(maxIndex, k);
+          } else {
+            isList = false;
+          }
+        }
+        expect("}");
+        if (isList) {
+          // convert to JS array if keys are 0..maxIndex contiguous
+          const arr = [];
+          for (let idx = 0; idx <= maxIndex; idx++) {
+            if (!(idx in obj)) { isList = false; break; }
+            arr[idx] = obj[idx];
+          }
+          if (isList) return arr;
+        }
+        return obj;
+      }
+      default:
+        throw new TypeError(`unserialize(): Unsupported type "${type}"`);
+    }
+  };
+
+  const value = parse();
+  return { value, offset: i };
+}
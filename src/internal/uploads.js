@@ -0,0 +1,36 @@
+/**
+ * Registry of temporary files created for uploads by the multipart parser, so that
+ * is_uploaded_file()/move_uploaded_file() only ever act on genuine uploads (PHP's rfc1867_uploaded_files).
+ * Files still registered when the process exits are removed, as a last resort for requests whose
+ * end was never seen.
+ * @module internal/uploads
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** @type {Set<string>} absolute tmp paths */
+const _uploaded = new Set();
+let _exitHooked = false;
+
+/** @param {string} file */
+export function trackUpload(file) {
+  _uploaded.add(path.resolve(file));
+  if (_exitHooked) return;
+  _exitHooked = true;
+  process.once("exit", () => {
+    for (const f of _uploaded) {
+      try { fs.rmSync(f, { force: true }); } catch {}
+    }
+  });
+}
+
+/** @param {string} file @returns {boolean} */
+export function isTrackedUpload(file) {
+  return _uploaded.has(path.resolve(file));
+}
+
+/** @param {string} file */
+export function untrackUpload(file) {
+  _uploaded.delete(path.resolve(file));
+}
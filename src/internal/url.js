@@ -0,0 +1,190 @@
+/**
+ * URL splitting with the behaviour of PHP's php_url_parse_ex2() (ext/standard/url.c), shared by
+ * FILTER_VALIDATE_URL and parse_url().
+ *
+ * Unlike WHATWG `URL`, nothing is normalized or resolved: components are returned raw (control
+ * characters replaced by "_"), scheme-relative ("//host/p"), relative ("/p?x") and "host:port"
+ * inputs are accepted, and only seriously malformed input (empty host, bad port) is rejected.
+ *
+ * @module internal/url
+ */
+
+/**
+ * @typedef {object} UrlParts
+ * Only the components present in the input are set.
+ * @property {string} [scheme]
+ * @property {string} [host]
+ * @property {number} [port]
+ * @property {string} [user]
+ * @property {string} [pass]
+ * @property {string} [path]
+ * @property {string} [query]
+ * @property {string} [fragment]
+ */
+
+/** @param {string} s */
+function _clean(s) {
+  // eslint-disable-next-line no-control-regex
+  return s.replace(/[\x00-\x1f\x7f]/g, "_");
+}
+
+/**
+ * strtol()-style port: leading digits of `s`, or null when there are none or the value is out of range.
+ * @param {string} s at most 5 characters
+ * @returns {number|null}
+ */
+function _port(s) {
+  const m = /^[ \t\n\v\f\r]*([+-]?\d+)/.exec(s);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return n >= 0 && n <= 65535 ? n : null;
+}
+
+/**
+ * Split a URL into its components like PHP.
+ * @param {string} str
+ * @returns {UrlParts|null} null for malformed URLs (parse_url() returns false)
+ */
+export function phpParseUrl(str) {
+  /** @type {UrlParts} */
+  const ret = {};
+  const ue = str.length;
+  let s = 0;
+  let e = str.indexOf(":");
+  let stage = "host"; // "host" | "port" | "path"
+
+  if (e > 0) {
+    let ok = true;
+    for (let p = 0; p < e; p++) {
+      if (!/[A-Za-z0-9+.-]/.test(str[p])) {
+        ok = false;
+        break;
+      }
+    }
+    if (!ok) {
+      const q = str.indexOf("?");
+      if (e + 1 < ue && q !== -1 && e < q) stage = "port";
+      else if (str.startsWith("//")) {
+        s = 2;
+        stage = "host";
+      } else stage = "path";
+    } else if (e + 1 === ue) {
+      ret.scheme = _clean(str.slice(0, e)); // only the scheme
+      return ret;
+    } else if (str[e + 1] !== "/") {
+      // "a.com:80" is a host and port; "mailto:x" a scheme and path
+      let p = e + 1;
+      while (p < ue && /\d/.test(str[p])) p++;
+      if ((p === ue || str[p] === "/") && p - e < 7) stage = "port";
+      else {
+        ret.scheme = _clean(str.slice(0, e));
+        s = e + 1;
+        stage = "path";
+      }
+    } else {
+      ret.scheme = _clean(str.slice(0, e));
+      if (e + 2 < ue && str[e + 2] === "/") {
+        s = e + 3;
+        // file:///c:/dir keeps the drive letter in the path
+        if (ret.scheme.toLowerCase() === "file" && e + 3 < ue && str[e + 3] === "/") {
+          if (e + 5 < ue && str[e + 5] === ":") s = e + 4;
+          stage = "path";
+        }
+      } else {
+        s = e + 1;
+        stage = "path";
+      }
+    }
+  } else if (e === 0) {
+    stage = "port";
+  } else if (str.startsWith("//")) {
+    s = 2;
+  } else {
+    stage = "path";
+  }
+
+  if (stage === "port") {
+    const p = e + 1;
+    let pp = p;
+    while (pp < ue && pp - p < 6 && /\d/.test(str[pp])) pp++;
+    if (pp - p > 0 && pp - p < 6 && (pp === ue || str[pp] === "/")) {
+      const port = _port(str.slice(p, pp));
+      if (port === null) return null;
+      ret.port = port;
+      if (str.startsWith("//", s)) s += 2;
+      stage = "host";
+    } else if (p === pp && pp === ue) {
+      return null;
+    } else if (str.startsWith("//", s)) {
+      s += 2;
+      stage = "host";
+    } else {
+      stage = "path";
+    }
+  }
+
+  if (stage === "host") {
+    e = s;
+    while (e < ue && !"/?#".includes(str[e])) e++;
+    // user info: up to the last "@" before the path
+    const at = str.lastIndexOf("@", e - 1);
+    if (at >= s) {
+      const colon = str.indexOf(":", s);
+      if (colon !== -1 && colon < at) {
+        ret.user = _clean(str.slice(s, colon));
+        ret.pass = _clean(str.slice(colon + 1, at));
+      } else {
+        ret.user = _clean(str.slice(s, at));
+      }
+      s = at + 1;
+    }
+    // port, unless the host is a bracketed IPv6 address
+    let p = s < ue && str[s] === "[" && str[e - 1] === "]" ? -1 : str.lastIndexOf(":", e - 1);
+    if (p < s) p = -1;
+    if (p !== -1) {
+      if (ret.port === undefined) {
+        const digits = str.slice(p + 1, e);
+        if (digits.length > 5) return null;
+        if (digits.length > 0) {
+          const port = _port(digits);
+          if (port === null) return null;
+          ret.port = port;
+        }
+      }
+    } else {
+      p = e;
+    }
+    if (p - s < 1) return null;
+    ret.host = _clean(str.slice(s, p));
+    if (e === ue) return _ordered(ret);
+    s = e;
+  }
+
+  let end = ue;
+  const hash = str.indexOf("#", s);
+  if (hash !== -1) {
+    ret.fragment = _clean(str.slice(hash + 1, end));
+    end = hash;
+  }
+  const q = str.indexOf("?", s);
+  if (q !== -1 && q < end) {
+    ret.query = _clean(str.slice(q + 1, end));
+    end = q;
+  }
+  if (s < end || s === ue) ret.path = _clean(str.slice(s, end));
+  return _ordered(ret);
+}
+
+/**
+ * Components in parse_url()'s key order.
+ * @param {UrlParts} parts
+ * @returns {UrlParts}
+ */
+function _ordered(parts) {
+  /** @type {UrlParts} */
+  const out = {};
+  for (const k of ["scheme", "host", "port", "user", "pass", "path", "query", "fragment"]) {
+    if (parts[k] !== undefined) out[k] = parts[k];
+  }
+  return out;
+}
@@ -0,0 +1,179 @@
+/**
+ * Framework adapters for the cookie and session modules (Express, Koa, Fastify, node:http).
+ *
+ * Every adapter:
+ * - parses cookies once and exposes them as `cookies` (kept if another middleware set them),
+ * - starts the session and exposes it as `session`, a root SessionBag (get/set/has/remove/all),
+ *   backed by session_get()/session_set() for the current request,
+ * - writes and closes the session before the response is complete, so handlers never call
+ *   session_start()/session_write_close() themselves and a quick follow-up request (login, then
+ *   redirect) always reads the new data,
+ * - runs the rest of the request in a context of its own (see response_run()), so the next request
+ *   on a keep-alive connection starts without this one's session or response.
+ *
+ * Frameworks are not dependencies: adapters only rely on their public request/response shapes.
+ * Options are passed to session_start() (e.g. { locking: true, use_strict_mode: true }).
+ *
+ * @module middleware
+ */
+
+import { AsyncResource } from "node:async_hooks";
+
+import { runWithResponse } from "./internal/response.js";
+import { $_COOKIE } from "./php/cookie.js";
+import { PHP_SESSION_ACTIVE, session_bag, session_start, session_status, session_write_close } from "./php/session.js";
+
+/**
+ * Parse cookies and start the session for a raw Node request/response pair.
+ * Runs session_start() synchronously up to its first await, so the caller's continuation
+ * (and whatever it calls next) runs in the request's session context.
+ * @param {any} req Node IncomingMessage
+ * @param {any} res Node ServerResponse
+ * @param {Record<string, any>} options session_start() options
+ * @returns {Promise<import("./php/session.js").SessionBag>}
+ */
+async function _begin(req, res, options) {
+  req.cookies ??= $_COOKIE(req);
+  // auto_write_close is the safety net: the session is closed even if the handler throws.
+  const started = await session_start(req, res, { ...options, auto_write_close: true });
+  if (!started) {
+    const err = new Error("session_start(): failed to acquire the session lock");
+    /** @type {any} */ (err).status = 503;
+    throw err;
+  }
+  return session_bag("");
+}
+
+/** Close the session of the current context if the handler left it open. */
+async function _end() {
+  if (session_status() === PHP_SESSION_ACTIVE) await session_write_close();
+}
+
+/**
+ * Make res.end() wait until the session is written, for adapters that cannot run code between the
+ * handler and the response (Express) or whose handler ends the response itself (node:http).
+ * Like the output layer, it wraps `res.end`; headers and body chunks written before are not held back.
+ * Must be called in the request's session context (after _begin()).
+ * @param {any} res
+ */
+function _writeBeforeEnd(res) {
+  const end = res.end;
+  if (typeof end !== "function") return;
+  // res.end() may be called from another async context (a stream, a timer): close this request's session
+  const close = AsyncResource.bind(_end);
+  res.end = function (...args) {
+    res.end = end;
+    close().then(
+      () => end.apply(this, args),
+      (e) => {
+        process.emitWarning(`session_write_close(): Failed to write session data before the response ended: ${e?.message ?? e}`);
+        end.apply(this, args);
+      },
+    );
+    return this;
+  };
+}
+
+/**
+ * expressSession — Express (or Connect) middleware: `app.use(expressSession())`.
+ * Sets `req.cookies` and `req.session`; res.end() (and so res.send(), res.redirect(), ...) waits
+ * until the session is written, so the client never gets the response before the data is stored.
+ * @param {Record<string, any>} [options] session_start() options
+ * @returns {(req:any, res:any, next:(err?:any)=>void) => void}
+ */
+export function expressSession(options = {}) {
+  return (req, res, next) => {
+    runWithResponse(req, res, () => {
+      _begin(req, res, options).then((session) => {
+        req.session = session;
+        _writeBeforeEnd(res);
+        next();
+      }, next);
+    });
+  };
+}
+
+/**
+ * koaSession — Koa middleware: `app.use(koaSession())`.
+ * Sets `ctx.session` and `ctx.state.cookies`; the session is written once downstream
+ * middleware settles, before Koa sends the response.
+ * @param {Record<string, any>} [options] session_start() options
+ * @returns {(ctx:any, next:()=>Promise<any>) => Promise<void>}
+ */
+export function koaSession(options = {}) {
+  return (ctx, next) =>
+    runWithResponse(ctx.req, ctx.res, async () => {
+      ctx.session = await _begin(ctx.req, ctx.res, options);
+      ctx.state.cookies = ctx.req.cookies;
+      try {
+        await next();
+      } finally {
+        await _end();
+      }
+    });
+}
+
+/**
+ * fastifySession — Fastify plugin: `fastify.register(fastifySession())`.
+ * Sets `request.session` and `request.cookies` (unless another plugin decorates cookies);
+ * the session is written in the onSend hook, before the response goes out.
+ * Registered without encapsulation so it applies to every route.
+ * @param {Record<string, any>} [options] session_start() options
+ * @returns {(fastify:any, opts:any, done:(err?:Error)=>void) => void}
+ */
+export function fastifySession(options = {}) {
+  const plugin = (fastify, _opts, done) => {
+    const ownCookies = !fastify.hasRequestDecorator("cookies");
+    fastify.decorateRequest("session", null);
+    if (ownCookies) fastify.decorateRequest("cookies", null);
+
+    // callback style: done() must run in the request's context for the rest of the chain to see it
+    fastify.addHook("onRequest", (request, reply, hookDone) => {
+      runWithResponse(request.raw, reply.raw, () => {
+        _begin(request.raw, reply.raw, options).then((session) => {
+          request.session = session;
+          if (ownCookies) request.cookies = request.raw.cookies;
+          hookDone();
+        }, hookDone);
+      });
+    });
+    fastify.addHook("onSend", async (_request, _reply, payload) => {
+      await _end();
+      return payload;
+    });
+    done();
+  };
+  // same effect as wrapping with fastify-plugin
+  plugin[Symbol.for("skip-override")] = true;
+  plugin[Symbol.for("fastify.display-name")] = "jlive-session";
+  return plugin;
+}
+
+/**
+ * httpSession — Wrap a plain node:http request listener:
+ * `http.createServer(httpSession(async (req, res) => { ... }))`.
+ * Sets `req.cookies` and `req.session`; the session is written when the handler ends the response,
+ * before it goes out, or else once the handler settles.
+ * @param {(req:any, res:any) => any} handler
+ * @param {Record<string, any>} [options] session_start() options
+ * @returns {(req:any, res:any) => Promise<void>}
+ */
+export function httpSession(handler, options = {}) {
+  if (typeof handler !== "function") throw new TypeError("httpSession(): handler must be a function");
+  return (req, res) =>
+    runWithResponse(req, res, async () => {
+      try {
+        req.session = await _begin(req, res, options);
+        _writeBeforeEnd(res);
+      } catch (e) {
+        res.statusCode = /** @type {any} */ (e).status ?? 500;
+        res.end();
+        return;
+      }
+      try {
+        await handler(req, res);
+      } finally {
+        await _end();
+      }
+    });
+}
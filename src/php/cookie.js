@@ -1,78 +1,179 @@
 /**
  * Cookie helpers with PHP-like signatures.
  *
- * In PHP, cookies are managed by the runtime. In Node, you must provide `req` and/or `res`.
+ * In PHP, cookies are managed by the runtime. In Node, you provide `req` to read cookies; writes go to
+ * the `res` you pass or, when it is omitted, to the current response (see header.js).
  *
  * @module php/cookie
  */
 
-import { assertArity, assertBoolean, assertNumber, assertString, typeError } from "../internal/assert.js";
+import crypto from "node:crypto";
+import fsp from "node:fs/promises";
 
-/** @param {string} header */
+import { argError, assertArity, assertBoolean, assertNumber, assertString, typeError } from "../internal/assert.js";
+import { parseVariableName, percentDecode, registerVariable, toPhpArrays } from "../internal/registerVariable.js";
+import { appendHeaderLine, resolveResponse } from "../internal/response.js";
+import { ini_get } from "./info.js";
+
+/**
+ * Parse a Cookie request header (RFC 6265 section 5.4) with PHP's $_COOKIE semantics:
+ * - pairs are split on ";" and trimmed; a surrounding pair of double quotes is removed from values,
+ * - names and values are percent-decoded tolerantly (malformed escapes are kept as-is),
+ * - names go through PHP's variable registration ("a.b" -> "a_b", "a[b]=1" -> {a:{b:"1"}}),
+ * - a pair without "=" registers an empty value; the first occurrence of a duplicate wins.
+ * @param {string} header
+ * @returns {Record<string, any>}
+ */
 function parseCookieHeader(header) {
   const out = {};
   if (!header) return out;
-  const parts = header.split(/;\s*/);
-  for (const p of parts) {
-    const idx = p.indexOf("=");
-    if (idx === -1) continue;
-    const k = decodeURIComponent(p.slice(0, idx).trim());
-    const v = decodeURIComponent(p.slice(idx + 1).trim());
-    out[k] = v;
+  const maxNesting = Number(ini_get("max_input_nesting_level"));
+  for (const pair of header.split(";")) {
+    const idx = pair.indexOf("=");
+    const rawName = (idx === -1 ? pair : pair.slice(0, idx)).trim();
+    if (rawName === "") continue;
+    let rawValue = idx === -1 ? "" : pair.slice(idx + 1).trim();
+    if (rawValue.length >= 2 && rawValue.startsWith('"') && rawValue.endsWith('"')) rawValue = rawValue.slice(1, -1);
+    // PHP decodes names like urldecode() and values like rawurldecode() ("+" stays "+").
+    registerVariable(out, percentDecode(rawName, true), percentDecode(rawValue), true, maxNesting);
   }
-  return out;
+  return toPhpArrays(out, true);
 }
 
+/** Parsed cookies per request, so repeated $_COOKIE(req) calls parse the header once. */
+const _parsed = new WeakMap(); // req -> {header:string, cookies:Record<string, any>}
+
 /**
  * $_COOKIE — Read cookies from an HTTP request.
+ * The result is cached per request (until its Cookie header changes), like PHP's superglobal.
+ * Array names nest like in PHP: `a[b]=1; a[c]=2` gives `{ a: { b: "1", c: "2" } }`.
  * @param {any} req Node http.IncomingMessage-like object
- * @returns {Record<string,string>}
+ * @returns {Record<string, any>}
  */
 export function $_COOKIE(req) {
   assertArity("$_COOKIE", arguments, 1, 1);
   if (!req || typeof req !== "object") typeError("$_COOKIE", 1, "object", req);
-  const header = req.headers?.cookie ?? req.headers?.Cookie ?? "";
-  return parseCookieHeader(String(header || ""));
+  const header = String(req.headers?.cookie ?? req.headers?.Cookie ?? "");
+  const cached = _parsed.get(req);
+  if (cached && cached.header === header) return cached.cookies;
+  const cookies = parseCookieHeader(header);
+  _parsed.set(req, { header, cookies });
+  return cookies;
 }
 
+/** Characters PHP rejects in cookie names: the RFC 6265 delimiters it checks, plus all controls. */
+const _FORBIDDEN_NAME = /[=,; \t\r\n\x00-\x1f\x7f]/;
+/** Characters PHP rejects in raw values, paths and domains. */
+const _FORBIDDEN_ATTR = /[,; \t\r\n\x0b\x0c]/;
+const _OPTION_KEYS = new Set(["expires", "path", "domain", "secure", "httponly", "samesite", "partitioned", "priority"]);
+const _PRIORITIES = { low: "Low", medium: "Medium", high: "High" };
+
 /**
- * setcookie — Send a cookie.
- * @see https://www.php.net/manual/en/function.setcookie.php
+ * @typedef {object} CookieOptions
+ * @property {number} [expires] Unix timestamp; 0 for a session cookie
+ * @property {string} [path]
+ * @property {string} [domain]
+ * @property {boolean} [secure]
+ * @property {boolean} [httponly]
+ * @property {"Lax"|"Strict"|"None"|""} [samesite]
+ * @property {boolean} [partitioned] CHIPS: store the cookie per top-level site (requires secure)
+ * @property {"Low"|"Medium"|"High"|""} [priority]
+ */
+
+/**
+ * Normalize both call forms to (options, res):
+ * - PHP 7.3+: fn(name, value, {expires, path, ...}, res)
+ * - legacy:   fn(name, value, expires, path, domain, secure, httponly, res, {samesite, partitioned, priority})
+ * @param {string} fn
+ * @param {IArguments} args
+ * @returns {{options: Required<CookieOptions>, res: any}}
+ */
+function _cookieArgs(fn, args) {
+  const third = args[2];
+  if (third !== null && typeof third === "object") {
+    assertArity(fn, args, 3, 4);
+    for (const k of Object.keys(third)) {
+      if (!_OPTION_KEYS.has(k.toLowerCase())) argError(fn, `option "${k}" is invalid`);
+    }
+    // PHP matches option keys case-insensitively.
+    const opt = Object.fromEntries(Object.entries(third).map(([k, v]) => [k.toLowerCase(), v]));
+    return {
+      options: {
+        expires: opt.expires ?? 0,
+        path: opt.path ?? "",
+        domain: opt.domain ?? "",
+        secure: opt.secure ?? false,
+        httponly: opt.httponly ?? false,
+        samesite: opt.samesite ?? "",
+        partitioned: opt.partitioned ?? false,
+        priority: opt.priority ?? "",
+      },
+      res: args[3],
+    };
+  }
+  assertArity(fn, args, 1, 9);
+  const [, , expires = 0, path = "", domain = "", secure = false, httponly = false, res, extra = {}] = args;
+  const { samesite = "", partitioned = false, priority = "" } = extra ?? {};
+  return { options: { expires, path, domain, secure, httponly, samesite, partitioned, priority }, res };
+}
+
+/**
+ * Browsers silently drop cookies that break these rules, so fail loudly instead:
+ * - `__Secure-` names need Secure; `__Host-` names also need no Domain and Path=/ (prefixes match case-insensitively),
+ * - Partitioned (CHIPS) cookies need Secure.
+ * @param {string} fn
  * @param {string} name
- * @param {string} [value]
- * @param {number} [expires]
- * @param {string} [path]
- * @param {string} [domain]
- * @param {boolean} [secure]
- * @param {boolean} [httponly]
- * @param {any} [res] Node http.ServerResponse-like object (required to set header)
- * @param {{samesite?:"Lax"|"Strict"|"None"}} [options]
- * @returns {boolean}
+ * @param {{path:string, domain:string, secure:boolean, partitioned:boolean}} attrs
  */
-export function setcookie(
-  name,
-  value = "",
-  expires = 0,
-  path = "",
-  domain = "",
-  secure = false,
-  httponly = false,
-  res = undefined,
-  options = {}
-) {
-  assertArity("setcookie", arguments, 1, 9);
-  assertString("setcookie", 1, name);
-  assertString("setcookie", 2, String(value));
-  assertNumber("setcookie", 3, expires);
-  assertString("setcookie", 4, path);
-  assertString("setcookie", 5, domain);
-  assertBoolean("setcookie", 6, secure);
-  assertBoolean("setcookie", 7, httponly);
-  if (!res || typeof res.setHeader !== "function") {
-    throw new TypeError("setcookie(): In Node you must pass a ServerResponse-like `res` as parameter 8");
-  }
-
-  let cookie = `${encodeURIComponent(name)}=${encodeURIComponent(String(value))}`;
+function _assertCookiePrefix(fn, name, { path, domain, secure, partitioned }) {
+  const lower = name.toLowerCase();
+  const prefix = lower.startsWith("__host-") ? name.slice(0, 7) : lower.startsWith("__secure-") ? name.slice(0, 9) : "";
+  if (prefix && !secure) argError(fn, `cookie "${name}" uses the ${prefix} prefix and must be secure`);
+  if (lower.startsWith("__host-")) {
+    if (domain) argError(fn, `cookie "${name}" uses the ${prefix} prefix and must not have a domain`);
+    if (path !== "/") argError(fn, `cookie "${name}" uses the ${prefix} prefix and must have path "/"`);
+  }
+  if (partitioned && !secure) argError(fn, `partitioned cookie "${name}" must be secure`);
+}
+
+/**
+ * Validate and emit one Set-Cookie header.
+ * @param {string} fn
+ * @param {string} name
+ * @param {any} value
+ * @param {Required<CookieOptions>} options
+ * @param {any} res undefined for the current response
+ * @param {boolean} raw send the value as-is instead of URL-encoding it
+ * @returns {boolean} false when the headers were already sent (as in PHP)
+ */
+function _setcookie(fn, name, value, options, res, raw) {
+  const { expires, path, domain, secure, httponly, samesite, partitioned, priority } = options;
+  assertString(fn, 1, name);
+  assertString(fn, 2, String(value));
+  assertNumber(fn, 3, expires);
+  assertString(fn, 4, path);
+  assertString(fn, 5, domain);
+  assertBoolean(fn, 6, secure);
+  assertBoolean(fn, 7, httponly);
+  assertString(fn, 8, samesite);
+  assertBoolean(fn, 9, partitioned);
+  assertString(fn, 10, priority);
+  if (name === "") argError(fn, "argument #1 ($name) cannot be empty");
+  if (_FORBIDDEN_NAME.test(name)) {
+    argError(fn, `argument #1 ($name) cannot contain "=", ",", ";", " ", "\\t", "\\r", "\\n", "\\013", "\\014" or control characters`);
+  }
+  if (raw && _FORBIDDEN_ATTR.test(String(value))) {
+    argError(fn, `argument #2 ($value) cannot contain ",", ";", " ", "\\t", "\\r", "\\n", "\\013", or "\\014"`);
+  }
+  if (_FORBIDDEN_ATTR.test(path)) argError(fn, `"path" option cannot contain ",", ";", " ", "\\t", "\\r", "\\n", "\\013", or "\\014"`);
+  if (_FORBIDDEN_ATTR.test(domain)) argError(fn, `"domain" option cannot contain ",", ";", " ", "\\t", "\\r", "\\n", "\\013", or "\\014"`);
+  if (priority && !Object.prototype.hasOwnProperty.call(_PRIORITIES, priority.toLowerCase())) {
+    argError(fn, `"priority" option must be "Low", "Medium" or "High"`);
+  }
+  _assertCookiePrefix(fn, name, { path, domain, secure, partitioned });
+  const r = resolveResponse(fn, res);
+
+  let cookie = `${name}=${raw ? String(value) : encodeURIComponent(String(value))}`;
   if (expires && Number.isFinite(expires)) {
     const d = new Date(expires * 1000);
     cookie += `; Expires=${d.toUTCString()}`;
@@ -82,11 +183,641 @@ export function setcookie(
   if (domain) cookie += `; Domain=${domain}`;
   if (secure) cookie += `; Secure`;
   if (httponly) cookie += `; HttpOnly`;
-  if (options?.samesite) cookie += `; SameSite=${options.samesite}`;
+  if (samesite) cookie += `; SameSite=${samesite}`;
+  if (partitioned) cookie += `; Partitioned`;
+  if (priority) cookie += `; Priority=${_PRIORITIES[priority.toLowerCase()]}`;
+
+  return appendHeaderLine(r, "Set-Cookie", cookie);
+}
+
+/**
+ * setcookie — Send a cookie.
+ * Accepts PHP 7.3+'s options form `setcookie(name, value, {expires, path, domain, secure, httponly, samesite}, res)`
+ * as well as the positional form `setcookie(name, value, expires, path, domain, secure, httponly, res, {samesite})`.
+ * Beyond PHP, options also take `partitioned` and `priority`; `__Secure-`/`__Host-` prefix rules are enforced.
+ * The value is URL-encoded; names are sent as-is and must not contain `=,; \t\r\n\v\f` or control characters.
+ * @see https://www.php.net/manual/en/function.setcookie.php
+ * @param {string} name
+ * @param {string} [value]
+ * @param {number|CookieOptions} [expires_or_options]
+ * @param {...any} rest positional: path, domain, secure, httponly, res, {samesite}; options form: res
+ * @returns {boolean}
+ */
+export function setcookie(name, value = "", expires_or_options = 0, ...rest) {
+  const { options, res } = _cookieArgs("setcookie", arguments);
+  return _setcookie("setcookie", name, value, options, res, false);
+}
+
+/**
+ * setrawcookie — Send a cookie without URL-encoding the value.
+ * Same call forms as setcookie(); the value must not contain `,; \t\r\n\v\f`.
+ * @see https://www.php.net/manual/en/function.setrawcookie.php
+ * @param {string} name
+ * @param {string} [value]
+ * @param {number|CookieOptions} [expires_or_options]
+ * @param {...any} rest positional: path, domain, secure, httponly, res, {samesite}; options form: res
+ * @returns {boolean}
+ */
+export function setrawcookie(name, value = "", expires_or_options = 0, ...rest) {
+  const { options, res } = _cookieArgs("setrawcookie", arguments);
+  return _setcookie("setrawcookie", name, value, options, res, true);
+}
+
+// --- Signed and encrypted cookies ---
+//
+// Keys: a secret or a list of secrets. The first one signs/encrypts new cookies; all of them are
+// tried when reading, so a new key can be put in front while cookies issued with older ones stay valid.
+// The cookie name and the `expires` option are bound into the protected payload, so a value cannot be
+// moved to another cookie name or kept alive by a client past its expiry.
+
+const _ENC_INFO = "jlive cookie encryption";
+
+/**
+ * @param {string} fn
+ * @param {number} idx
+ * @param {any} keys
+ * @returns {Buffer[]}
+ */
+function _cookieKeys(fn, idx, keys) {
+  const list = Array.isArray(keys) ? keys : [keys];
+  if (list.length === 0) argError(fn, `argument #${idx} ($keys) must contain at least one key`);
+  return list.map((k) => {
+    if (typeof k !== "string" && !Buffer.isBuffer(k)) typeError(fn, idx, "string|Buffer|array", k);
+    if (k.length === 0) argError(fn, `argument #${idx} ($keys) cannot contain an empty key`);
+    return Buffer.from(k);
+  });
+}
+
+/** @param {Buffer} key @returns {Buffer} AES-256 key derived from a secret of any length */
+function _encryptionKey(key) {
+  return Buffer.from(crypto.hkdfSync("sha256", key, Buffer.alloc(0), _ENC_INFO, 32));
+}
+
+/** @param {string} name @param {string} payload @param {Buffer} key @returns {Buffer} */
+function _mac(name, payload, key) {
+  return crypto.createHmac("sha256", key).update(`${name}=${payload}`).digest();
+}
+
+/**
+ * @param {string} fn
+ * @param {IArguments} args
+ * @returns {{options: Required<CookieOptions>, res: any}}
+ */
+function _protectedCookieArgs(fn, args) {
+  assertArity(fn, args, 5, 5);
+  if (args[2] === null || typeof args[2] !== "object" || Array.isArray(args[2])) typeError(fn, 3, "array", args[2]);
+  return _cookieArgs(fn, [args[0], args[1], args[2], args[3]]);
+}
+
+/**
+ * JSON payload {v, e} carrying the value and its expiry (0 = session cookie).
+ * @param {string} fn
+ * @param {any} value
+ * @param {number} expires
+ * @returns {string}
+ */
+function _payload(fn, value, expires) {
+  assertNumber(fn, 3, expires);
+  if (JSON.stringify(value) === undefined) typeError(fn, 2, "JSON-serializable value", value);
+  return JSON.stringify({ v: value, e: expires || 0 });
+}
+
+/**
+ * @param {string} json
+ * @returns {any} the value, or null when the payload is malformed or expired
+ */
+function _openPayload(json) {
+  let p;
+  try {
+    p = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!p || typeof p !== "object" || !("v" in p) || typeof p.e !== "number") return null;
+  if (p.e && p.e * 1000 <= Date.now()) return null;
+  return p.v;
+}
+
+/**
+ * Where $_COOKIE registers a cookie name; null for names it drops or appends ("list[]").
+ * @param {string} name
+ * @returns {{base:string, indexes:string[]}|null}
+ */
+function _cookiePath(name) {
+  const parsed = parseVariableName(percentDecode(name, true), Number(ini_get("max_input_nesting_level")));
+  return parsed && !parsed.indexes.includes(null) ? /** @type {{base:string, indexes:string[]}} */ (parsed) : null;
+}
+
+/**
+ * Look a cookie up where $_COOKIE registered it: "a.b" is $_COOKIE["a_b"], "a[b]" is $_COOKIE.a.b.
+ * @param {any} req
+ * @param {string} name the name as passed to setcookie_signed()/setcookie_encrypted()
+ * @returns {string|null}
+ */
+function _rawCookie(req, name) {
+  const parsed = _cookiePath(name);
+  if (!parsed) return null;
+  /** @type {any} */
+  let v = $_COOKIE(req);
+  for (const key of [parsed.base, ...parsed.indexes]) {
+    v = v !== null && typeof v === "object" && Object.prototype.hasOwnProperty.call(v, key) ? v[key] : undefined;
+  }
+  return typeof v === "string" ? v : null;
+}
+
+/**
+ * NOT PHP
+ * setcookie_signed — Send an HMAC-SHA256 signed cookie. The value (any JSON value) stays readable
+ * by the client but cannot be changed without the key; read it back with getcookie_signed().
+ * @param {string} name
+ * @param {any} value
+ * @param {CookieOptions} options setcookie() options; `expires` is also enforced when reading
+ * @param {any} res Node http.ServerResponse-like object
+ * @param {string|Buffer|Array<string|Buffer>} keys signing key first, then older verification keys
+ * @returns {boolean}
+ */
+export function setcookie_signed(name, value, options, res, keys) {
+  const { options: opts, res: out } = _protectedCookieArgs("setcookie_signed", arguments);
+  const [key] = _cookieKeys("setcookie_signed", 5, keys);
+  assertString("setcookie_signed", 1, name);
+  if (!_cookiePath(name)) argError("setcookie_signed", `cannot read back cookie "${name}" from $_COOKIE`);
+  const payload = Buffer.from(_payload("setcookie_signed", value, opts.expires)).toString("base64url");
+  const signed = `${payload}.${_mac(name, payload, key).toString("base64url")}`;
+  return _setcookie("setcookie_signed", name, signed, opts, out, false);
+}
+
+/**
+ * NOT PHP
+ * getcookie_signed — Read and verify a cookie written by setcookie_signed().
+ * Never throws on bad input: missing, tampered, malformed or expired cookies give null.
+ * @param {any} req Node http.IncomingMessage-like object
+ * @param {string} name
+ * @param {string|Buffer|Array<string|Buffer>} keys every key that may have signed the cookie
+ * @returns {any} the value, or null
+ */
+export function getcookie_signed(req, name, keys) {
+  assertArity("getcookie_signed", arguments, 3, 3);
+  assertString("getcookie_signed", 2, name);
+  const list = _cookieKeys("getcookie_signed", 3, keys);
+  const raw = _rawCookie(req, name);
+  const dot = raw?.lastIndexOf(".") ?? -1;
+  if (dot === -1) return null;
+  const payload = raw.slice(0, dot);
+  const sig = Buffer.from(raw.slice(dot + 1), "base64url");
+  const valid = list.some((key) => {
+    const expected = _mac(name, payload, key);
+    return sig.length === expected.length && crypto.timingSafeEqual(sig, expected);
+  });
+  return valid ? _openPayload(Buffer.from(payload, "base64url").toString("utf8")) : null;
+}
+
+/**
+ * NOT PHP
+ * setcookie_encrypted — Send an AES-256-GCM encrypted cookie. The value (any JSON value) is
+ * hidden from the client and cannot be changed; read it back with getcookie_encrypted().
+ * @param {string} name
+ * @param {any} value
+ * @param {CookieOptions} options setcookie() options; `expires` is also enforced when reading
+ * @param {any} res Node http.ServerResponse-like object
+ * @param {string|Buffer|Array<string|Buffer>} keys encryption key first, then older decryption keys
+ * @returns {boolean}
+ */
+export function setcookie_encrypted(name, value, options, res, keys) {
+  const { options: opts, res: out } = _protectedCookieArgs("setcookie_encrypted", arguments);
+  const [key] = _cookieKeys("setcookie_encrypted", 5, keys);
+  assertString("setcookie_encrypted", 1, name);
+  if (!_cookiePath(name)) argError("setcookie_encrypted", `cannot read back cookie "${name}" from $_COOKIE`);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", _encryptionKey(key), iv);
+  cipher.setAAD(Buffer.from(name));
+  const body = Buffer.concat([cipher.update(_payload("setcookie_encrypted", value, opts.expires), "utf8"), cipher.final()]);
+  const sealed = Buffer.concat([iv, body, cipher.getAuthTag()]).toString("base64url");
+  return _setcookie("setcookie_encrypted", name, sealed, opts, out, false);
+}
+
+/**
+ * NOT PHP
+ * getcookie_encrypted — Read and decrypt a cookie written by setcookie_encrypted().
+ * Never throws on bad input: missing, tampered, malformed or expired cookies give null.
+ * @param {any} req Node http.IncomingMessage-like object
+ * @param {string} name
+ * @param {string|Buffer|Array<string|Buffer>} keys every key that may have encrypted the cookie
+ * @returns {any} the value, or null
+ */
+export function getcookie_encrypted(req, name, keys) {
+  assertArity("getcookie_encrypted", arguments, 3, 3);
+  assertString("getcookie_encrypted", 2, name);
+  const list = _cookieKeys("getcookie_encrypted", 3, keys);
+  const raw = _rawCookie(req, name);
+  if (raw === null) return null;
+  const sealed = Buffer.from(raw, "base64url");
+  // 12-byte iv + 16-byte tag around the ciphertext
+  if (sealed.length < 12 + 16) return null;
+  const iv = sealed.subarray(0, 12);
+  const tag = sealed.subarray(sealed.length - 16);
+  const body = sealed.subarray(12, sealed.length - 16);
+  for (const key of list) {
+    try {
+      const decipher = crypto.createDecipheriv("aes-256-gcm", _encryptionKey(key), iv);
+      decipher.setAAD(Buffer.from(name));
+      decipher.setAuthTag(tag);
+      const json = Buffer.concat([decipher.update(body), decipher.final()]).toString("utf8");
+      return _openPayload(json);
+    } catch {
+      // wrong key or tampered data: try the next key
+    }
+  }
+  return null;
+}
+
+// --- Client-side cookie jar ---
+
+/**
+ * @typedef {object} JarCookie
+ * @property {string} name
+ * @property {string} value
+ * @property {string} domain lowercase, without a leading "."
+ * @property {boolean} hostOnly true when only `domain` itself matches (no Domain attribute was sent)
+ * @property {string} path
+ * @property {number} expires Unix timestamp; 0 for a session cookie
+ * @property {boolean} secure
+ * @property {boolean} httpOnly
+ * @property {string} sameSite "" when not sent
+ * @property {number} creation insertion order, used to sort cookies of equal path length
+ */
+
+/** @param {string} host @returns {boolean} */
+function _isIpHost(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(":");
+}
+
+/**
+ * RFC 6265 domain-match.
+ * @param {string} host
+ * @param {string} domain
+ */
+function _domainMatch(host, domain) {
+  return host === domain || (!_isIpHost(host) && host.endsWith(`.${domain}`));
+}
+
+/**
+ * RFC 6265 path-match.
+ * @param {string} reqPath
+ * @param {string} cookiePath
+ */
+function _pathMatch(reqPath, cookiePath) {
+  if (reqPath === cookiePath) return true;
+  if (!reqPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith("/") || reqPath[cookiePath.length] === "/";
+}
+
+/** RFC 6265 default-path: the request path up to (not including) its last "/". @param {string} reqPath */
+function _defaultPath(reqPath) {
+  if (!reqPath.startsWith("/")) return "/";
+  const idx = reqPath.lastIndexOf("/");
+  return idx <= 0 ? "/" : reqPath.slice(0, idx);
+}
+
+/** @param {string|URL} url @returns {URL} */
+function _jarUrl(url) {
+  return url instanceof URL ? url : new URL(String(url));
+}
+
+/** Request headers CookieJar.fetch() does not carry over to another origin on a redirect. */
+const _CROSS_ORIGIN_HEADERS = ["authorization", "proxy-authorization", "cookie"];
+/** Headers describing the body, dropped when a redirect turns the request into a GET. */
+const _BODY_HEADERS = ["content-type", "content-length", "content-encoding", "content-language", "content-location"];
 
-  const prev = res.getHeader?.("Set-Cookie");
-  const list = prev ? (Array.isArray(prev) ? prev : [String(prev)]) : [];
-  list.push(cookie);
-  res.setHeader("Set-Cookie", list);
-  return true;
+/** @param {string} host URL hostname, possibly "[::1]" */
+function _canonicalHost(host) {
+  return host.replace(/^\[|\]$/g, "").toLowerCase();
+}
+
+/**
+ * CookieJar — Client-side cookie storage for outgoing requests, like cURL's cookie engine
+ * (CURLOPT_COOKIEFILE / CURLOPT_COOKIEJAR).
+ * Follows RFC 6265: Set-Cookie headers are stored with their domain, path, expiry and Secure
+ * attributes, and getCookieHeader() returns the cookies a request to a URL must carry.
+ * Persists in the Netscape cookie file format shared by curl and PHP's cURL extension.
+ *
+ * NOT PHP
+ */
+export class CookieJar {
+  constructor() {
+    /** @type {JarCookie[]} */
+    this._cookies = [];
+
+    /** @type {number} */
+    this._creation = 0;
+  }
+
+  /**
+   * Store one cookie from a Set-Cookie header value received from `url`.
+   * Cookies the RFC says to ignore (bad domain, insecure Secure cookie, broken prefix) are dropped.
+   * @param {string} header a single Set-Cookie header value
+   * @param {string|URL} url the URL the response came from
+   * @returns {boolean} true when the cookie was stored (or deleted by an expiry in the past)
+   */
+  setCookie(header, url) {
+    assertArity("CookieJar.setCookie", arguments, 2, 2);
+    assertString("CookieJar.setCookie", 1, header);
+    const u = _jarUrl(url);
+    const host = _canonicalHost(u.hostname);
+    const secureOrigin = u.protocol === "https:" || u.protocol === "wss:";
+
+    const [pair, ...attrs] = header.split(";");
+    const eq = pair.indexOf("=");
+    if (eq === -1) return false;
+    const name = pair.slice(0, eq).trim();
+    const value = pair.slice(eq + 1).trim();
+    if (name === "") return false;
+
+    let expires = null;
+    let maxAge = null;
+    let domain = "";
+    let path = "";
+    let secure = false;
+    let httpOnly = false;
+    let sameSite = "";
+    for (const attr of attrs) {
+      const idx = attr.indexOf("=");
+      const key = (idx === -1 ? attr : attr.slice(0, idx)).trim().toLowerCase();
+      const val = idx === -1 ? "" : attr.slice(idx + 1).trim();
+      if (key === "expires") {
+        const t = Date.parse(val);
+        if (!Number.isNaN(t)) expires = Math.floor(t / 1000);
+      } else if (key === "max-age") {
+        if (/^-?\d+$/.test(val)) maxAge = Number(val);
+      } else if (key === "domain") {
+        if (val !== "") domain = val.replace(/^\./, "").toLowerCase();
+      } else if (key === "path") {
+        path = val.startsWith("/") ? val : "";
+      } else if (key === "secure") {
+        secure = true;
+      } else if (key === "httponly") {
+        httpOnly = true;
+      } else if (key === "samesite") {
+        sameSite = val;
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    // Max-Age wins over Expires; 0 means a session cookie, -1 one that is already expired.
+    let exp = 0;
+    if (maxAge !== null) exp = maxAge <= 0 ? -1 : now + maxAge;
+    else if (expires !== null) exp = expires <= now ? -1 : expires;
+
+    if (domain && !_domainMatch(host, domain)) return false;
+    // Without a public suffix list, at least refuse single-label domains like "com" set from other hosts.
+    if (domain && domain !== host && !domain.includes(".")) return false;
+    if (secure && !secureOrigin) return false;
+    const lower = name.toLowerCase();
+    if ((lower.startsWith("__secure-") || lower.startsWith("__host-")) && !secure) return false;
+    if (lower.startsWith("__host-") && (domain || path !== "/")) return false;
+
+    const cookie = {
+      name,
+      value,
+      domain: domain || host,
+      hostOnly: !domain,
+      path: path || _defaultPath(u.pathname),
+      expires: exp,
+      secure,
+      httpOnly,
+      sameSite,
+      creation: 0,
+    };
+    return this._store(cookie);
+  }
+
+  /**
+   * Store every Set-Cookie header of a response.
+   * @param {Headers|string|string[]} headers fetch() Headers, or Set-Cookie value(s)
+   * @param {string|URL} url the URL the response came from
+   * @returns {number} the number of cookies stored
+   */
+  setCookies(headers, url) {
+    assertArity("CookieJar.setCookies", arguments, 2, 2);
+    const list = typeof headers === "string" ? [headers]
+      : Array.isArray(headers) ? headers
+      : typeof headers?.getSetCookie === "function" ? headers.getSetCookie()
+      : typeError("CookieJar.setCookies", 1, "Headers|string|array", headers);
+    let n = 0;
+    for (const h of list) if (this.setCookie(String(h), url)) n++;
+    return n;
+  }
+
+  /**
+   * Cookies a request to `url` must carry: matching domain and path, not expired, and Secure
+   * ones only over https. Sorted longest path first, then oldest first (RFC 6265 section 5.4).
+   * @param {string|URL} url
+   * @returns {JarCookie[]}
+   */
+  getCookies(url) {
+    assertArity("CookieJar.getCookies", arguments, 1, 1);
+    const u = _jarUrl(url);
+    const host = _canonicalHost(u.hostname);
+    const secureOrigin = u.protocol === "https:" || u.protocol === "wss:";
+    const reqPath = u.pathname || "/";
+    this.removeExpired();
+    return this._cookies
+      .filter((c) => (c.hostOnly ? host === c.domain : _domainMatch(host, c.domain)))
+      .filter((c) => _pathMatch(reqPath, c.path) && (!c.secure || secureOrigin))
+      .sort((a, b) => b.path.length - a.path.length || a.creation - b.creation)
+      .map((c) => ({ ...c }));
+  }
+
+  /**
+   * Cookie request header value for `url` ("" when no cookie matches).
+   * @param {string|URL} url
+   * @returns {string}
+   */
+  getCookieHeader(url) {
+    assertArity("CookieJar.getCookieHeader", arguments, 1, 1);
+    return this.getCookies(url).map((c) => `${c.name}=${c.value}`).join("; ");
+  }
+
+  /**
+   * All stored cookies (copies), including session cookies.
+   * @returns {JarCookie[]}
+   */
+  all() {
+    this.removeExpired();
+    return this._cookies.map((c) => ({ ...c }));
+  }
+
+  /**
+   * Remove cookies, all of them or those of one domain (and its subdomains).
+   * @param {string} [domain]
+   * @returns {void}
+   */
+  clear(domain) {
+    if (domain === undefined) {
+      this._cookies = [];
+      return;
+    }
+    assertString("CookieJar.clear", 1, domain);
+    const d = domain.replace(/^\./, "").toLowerCase();
+    this._cookies = this._cookies.filter((c) => !_domainMatch(c.domain, d));
+  }
+
+  /**
+   * Drop session cookies, like curl's CURLOPT_COOKIESESSION or closing a browser.
+   * @returns {void}
+   */
+  clearSession() {
+    this._cookies = this._cookies.filter((c) => c.expires !== 0);
+  }
+
+  /**
+   * Drop expired cookies.
+   * @returns {void}
+   */
+  removeExpired() {
+    const now = Math.floor(Date.now() / 1000);
+    this._cookies = this._cookies.filter((c) => c.expires === 0 || c.expires > now);
+  }
+
+  /**
+   * fetch() that sends the jar's cookies and stores the cookies of every response,
+   * following redirects itself so cookies set along the way are kept too.
+   * Like fetch(), a redirect to another origin drops the Authorization, Proxy-Authorization and
+   * (caller-supplied) Cookie headers; a 307/308 that would resend a body to another origin is
+   * returned instead of followed.
+   * @param {string|URL} url
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init = {}) {
+    let current = _jarUrl(url);
+    let opts = { ...init };
+    const follow = (init.redirect ?? "follow") === "follow";
+    for (let hops = 0; ; hops++) {
+      const headers = new Headers(opts.headers);
+      const cookie = this.getCookieHeader(current);
+      if (cookie) headers.set("cookie", cookie);
+      const res = await fetch(current, { ...opts, headers, redirect: "manual" });
+      this.setCookies(res.headers, current);
+      const location = res.headers.get("location");
+      if (!follow || !location || res.status < 300 || res.status > 399 || res.status === 304) return res;
+      if (hops >= 20) throw new TypeError("CookieJar.fetch(): too many redirects");
+      const next = new URL(location, current);
+      const crossOrigin = next.origin !== current.origin;
+      // 303 (and 301/302 for POST, as browsers do) continue as GET without a body
+      const toGet = res.status === 303 || ((res.status === 301 || res.status === 302) && (opts.method ?? "GET").toUpperCase() === "POST");
+      // a 307/308 would resend the body: never to another origin
+      if (crossOrigin && !toGet && opts.body !== undefined && opts.body !== null) return res;
+      const nextHeaders = new Headers(opts.headers);
+      if (crossOrigin) for (const h of _CROSS_ORIGIN_HEADERS) nextHeaders.delete(h);
+      if (toGet) for (const h of _BODY_HEADERS) nextHeaders.delete(h);
+      opts = toGet ? { ...opts, headers: nextHeaders, method: "GET", body: undefined } : { ...opts, headers: nextHeaders };
+      current = next;
+    }
+  }
+
+  /**
+   * Serialize to the Netscape cookie file format (curl / PHP cURL compatible).
+   * HttpOnly cookies carry curl's "#HttpOnly_" domain prefix; session cookies have expiry 0.
+   * @returns {string}
+   */
+  toNetscape() {
+    const lines = ["# Netscape HTTP Cookie File", "# This file was generated by jLive. Edit at your own risk.", ""];
+    for (const c of this.all()) {
+      const domain = `${c.httpOnly ? "#HttpOnly_" : ""}${c.hostOnly ? "" : "."}${c.domain}`;
+      const flag = c.hostOnly ? "FALSE" : "TRUE";
+      lines.push([domain, flag, c.path, c.secure ? "TRUE" : "FALSE", String(c.expires), c.name, c.value].join("\t"));
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Add the cookies of a Netscape cookie file's contents. Comments, blank and malformed lines
+   * and expired cookies are skipped.
+   * @param {string} text
+   * @returns {number} the number of cookies added
+   */
+  loadNetscape(text) {
+    assertArity("CookieJar.loadNetscape", arguments, 1, 1);
+    assertString("CookieJar.loadNetscape", 1, text);
+    const now = Math.floor(Date.now() / 1000);
+    let n = 0;
+    for (let line of text.split(/\r?\n/)) {
+      let httpOnly = false;
+      if (line.startsWith("#HttpOnly_")) {
+        httpOnly = true;
+        line = line.slice("#HttpOnly_".length);
+      } else if (line.startsWith("#") || line.trim() === "") {
+        continue;
+      }
+      const f = line.split("\t");
+      if (f.length < 6) continue;
+      const [rawDomain, flag, path, secure, expiresStr, name, value = ""] = f;
+      const expires = Number(expiresStr);
+      if (!Number.isFinite(expires) || (expires !== 0 && expires <= now) || !name) continue;
+      this._store({
+        name,
+        value,
+        domain: rawDomain.replace(/^\./, "").toLowerCase(),
+        hostOnly: flag.toUpperCase() !== "TRUE",
+        path: path || "/",
+        expires,
+        secure: secure.toUpperCase() === "TRUE",
+        httpOnly,
+        sameSite: "",
+        creation: 0,
+      });
+      n++;
+    }
+    return n;
+  }
+
+  /**
+   * Write the jar to a Netscape cookie file (like CURLOPT_COOKIEJAR).
+   * @param {string} file
+   * @returns {Promise<void>}
+   */
+  async save(file) {
+    assertArity("CookieJar.save", arguments, 1, 1);
+    assertString("CookieJar.save", 1, file);
+    await fsp.writeFile(file, this.toNetscape(), "utf8");
+  }
+
+  /**
+   * Create a jar from a Netscape cookie file (like CURLOPT_COOKIEFILE). A missing file gives an empty jar.
+   * @param {string} file
+   * @returns {Promise<CookieJar>}
+   */
+  static async load(file) {
+    assertArity("CookieJar.load", arguments, 1, 1);
+    assertString("CookieJar.load", 1, file);
+    const jar = new CookieJar();
+    let text;
+    try {
+      text = await fsp.readFile(file, "utf8");
+    } catch (e) {
+      if (e?.code === "ENOENT") return jar;
+      throw e;
+    }
+    jar.loadNetscape(text);
+    return jar;
+  }
+
+  /**
+   * Insert or replace (same name, domain and path); an expired cookie deletes it.
+   * @private
+   * @param {JarCookie} cookie
+   * @returns {boolean}
+   */
+  _store(cookie) {
+    const idx = this._cookies.findIndex((c) => c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path);
+    if (cookie.expires === -1) {
+      if (idx !== -1) this._cookies.splice(idx, 1);
+      return true;
+    }
+    // a replaced cookie keeps its creation time (RFC 6265 section 5.3 step 11)
+    cookie.creation = idx !== -1 ? this._cookies[idx].creation : ++this._creation;
+    if (idx !== -1) this._cookies[idx] = cookie;
+    else this._cookies.push(cookie);
+    return true;
+  }
 }
@@ -6,6 +6,7 @@
 import fs from "node:fs";
 import path from "node:path";
 import { assertArity, assertBoolean, assertNumber, assertString, typeError } from "../internal/assert.js";
+import { isTrackedUpload, untrackUpload } from "../internal/uploads.js";
 
 
 /** PHP constants for scandir sorting */
@@ -386,6 +387,47 @@ export function rename(oldname, newname) {
   return true;
 }
 
+/**
+ * is_uploaded_file — Tells whether the file was uploaded via HTTP POST ($_FILES tmp_name of this process).
+ * @see https://www.php.net/manual/en/function.is-uploaded-file.php
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function is_uploaded_file(filename) {
+  assertArity("is_uploaded_file", arguments, 1, 1);
+  assertString("is_uploaded_file", 1, filename);
+  return isTrackedUpload(filename) && fs.existsSync(filename);
+}
+
+/**
+ * move_uploaded_file — Moves an uploaded file to a new location.
+ * Returns false (without touching anything) when `from` is not a file uploaded in this process.
+ * @see https://www.php.net/manual/en/function.move-uploaded-file.php
+ * @param {string} from $_FILES tmp_name
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function move_uploaded_file(from, to) {
+  assertArity("move_uploaded_file", arguments, 2, 2);
+  assertString("move_uploaded_file", 1, from);
+  assertString("move_uploaded_file", 2, to);
+  if (!is_uploaded_file(from)) return false;
+  try {
+    fs.renameSync(from, to);
+  } catch (e) {
+    // upload_tmp_dir on another filesystem
+    if (e?.code !== "EXDEV") return false;
+    try {
+      fs.copyFileSync(from, to);
+      fs.unlinkSync(from);
+    } catch {
+      return false;
+    }
+  }
+  untrackUpload(from);
+  return true;
+}
+
 export function fstat(handle) {
   assertArity("fstat", arguments, 1, 1);
   if (typeof handle !== "number") typeError("fstat", 1, "resource", handle);
@@ -0,0 +1,801 @@
+/**
+ * PHP-like data filtering (ext/filter): filter_var(), filter_var_array() and the request-bound filter_input() family.
+ *
+ * In PHP, filter_input() reads the request data the SAPI received. In Node, the INPUT_* sources are
+ * built from the request bound to the current async context (by session_start(), the middleware
+ * adapters, response_run() or response_bind()), or from a `req` passed as the last argument.
+ * Since $_POST reads the body, the filter_input() family is async.
+ *
+ * @module php/filter
+ */
+
+import { argError, assertArity, assertBoolean, assertNumber, assertString, typeError } from "../internal/assert.js";
+import { htmlEntities } from "../internal/htmlEntities.js";
+import { IP_RANGES, inCidr, parseIp } from "../internal/ip.js";
+import { currentRequest } from "../internal/response.js";
+import { phpParseUrl } from "../internal/url.js";
+import { $_COOKIE } from "./cookie.js";
+import { preg_match } from "./preg.js";
+import { $_GET, $_POST, $_SERVER } from "./request.js";
+import { addslashes, strip_tags } from "./string.js";
+
+export const INPUT_POST = 0;
+export const INPUT_GET = 1;
+export const INPUT_COOKIE = 2;
+export const INPUT_ENV = 4;
+export const INPUT_SERVER = 5;
+
+export const FILTER_FLAG_NONE = 0;
+export const FILTER_REQUIRE_SCALAR = 33554432;
+export const FILTER_REQUIRE_ARRAY = 16777216;
+export const FILTER_FORCE_ARRAY = 67108864;
+export const FILTER_NULL_ON_FAILURE = 134217728;
+export const FILTER_FLAG_ALLOW_OCTAL = 1;
+export const FILTER_FLAG_STRIP_LOW = 4;
+export const FILTER_FLAG_STRIP_HIGH = 8;
+export const FILTER_FLAG_ENCODE_LOW = 16;
+export const FILTER_FLAG_ENCODE_HIGH = 32;
+export const FILTER_FLAG_ENCODE_AMP = 64;
+export const FILTER_FLAG_NO_ENCODE_QUOTES = 128;
+export const FILTER_FLAG_EMPTY_STRING_NULL = 256;
+export const FILTER_FLAG_STRIP_BACKTICK = 512;
+export const FILTER_FLAG_ALLOW_HEX = 2;
+export const FILTER_FLAG_ALLOW_FRACTION = 4096;
+export const FILTER_FLAG_ALLOW_THOUSAND = 8192;
+export const FILTER_FLAG_ALLOW_SCIENTIFIC = 16384;
+export const FILTER_FLAG_PATH_REQUIRED = 262144;
+export const FILTER_FLAG_QUERY_REQUIRED = 524288;
+export const FILTER_FLAG_HOSTNAME = 1048576;
+export const FILTER_FLAG_EMAIL_UNICODE = 1048576;
+export const FILTER_FLAG_IPV4 = 1048576;
+export const FILTER_FLAG_IPV6 = 2097152;
+export const FILTER_FLAG_NO_RES_RANGE = 4194304;
+export const FILTER_FLAG_NO_PRIV_RANGE = 8388608;
+export const FILTER_FLAG_GLOBAL_RANGE = 268435456;
+
+export const FILTER_VALIDATE_INT = 257;
+export const FILTER_VALIDATE_BOOL = 258;
+export const FILTER_VALIDATE_BOOLEAN = FILTER_VALIDATE_BOOL;
+export const FILTER_VALIDATE_FLOAT = 259;
+export const FILTER_VALIDATE_REGEXP = 272;
+export const FILTER_VALIDATE_URL = 273;
+export const FILTER_VALIDATE_EMAIL = 274;
+export const FILTER_VALIDATE_IP = 275;
+export const FILTER_VALIDATE_MAC = 276;
+export const FILTER_VALIDATE_DOMAIN = 277;
+export const FILTER_SANITIZE_STRING = 513;
+export const FILTER_SANITIZE_STRIPPED = FILTER_SANITIZE_STRING;
+export const FILTER_SANITIZE_ENCODED = 514;
+export const FILTER_SANITIZE_SPECIAL_CHARS = 515;
+export const FILTER_UNSAFE_RAW = 516;
+export const FILTER_DEFAULT = FILTER_UNSAFE_RAW;
+export const FILTER_SANITIZE_EMAIL = 517;
+export const FILTER_SANITIZE_URL = 518;
+export const FILTER_SANITIZE_NUMBER_INT = 519;
+export const FILTER_SANITIZE_NUMBER_FLOAT = 520;
+export const FILTER_SANITIZE_FULL_SPECIAL_CHARS = 522;
+export const FILTER_SANITIZE_ADD_SLASHES = 523;
+export const FILTER_CALLBACK = 1024;
+
+/** @typedef {"missing"|"invalid"|"array_expected"|"scalar_expected"} FilterErrorReason */
+
+/**
+ * @typedef {object} FilterError
+ * One failure reported by filter_var_array().
+ * @property {string} field key of the definition the failure belongs to
+ * @property {string[]} path keys from the top of the data down to the failing value
+ * @property {FilterErrorReason} reason
+ * @property {string} filter name of the filter, as in filter_list()
+ * @property {any} value the value that failed (undefined when missing)
+ */
+
+/** Returned by a filter implementation when the value does not pass. */
+const _FAIL = Symbol("filter failure");
+
+/** PHP_FILTER_TRIM_DEFAULT: the whitespace the numeric and boolean filters ignore. */
+function _trim(v) {
+  return v.replace(/^[ \t\r\v\n]+|[ \t\r\v\n]+$/g, "");
+}
+
+/**
+ * A single-character option (decimal, separator).
+ * @param {string} fn
+ * @param {Record<string, any>} options
+ * @param {string} name
+ * @param {string} fallback
+ */
+function _charOption(fn, options, name, fallback) {
+  if (options[name] === undefined) return fallback;
+  const v = String(options[name]);
+  if (v.length !== 1) argError(fn, `"${name}" option must be one character long`);
+  return v;
+}
+
+/**
+ * @param {number} n
+ * @param {Record<string, any>} options min_range / max_range
+ * @returns {boolean}
+ */
+function _inRange(n, options) {
+  if (options.min_range !== undefined && n < Number(options.min_range)) return false;
+  if (options.max_range !== undefined && n > Number(options.max_range)) return false;
+  return true;
+}
+
+/**
+ * FILTER_VALIDATE_INT: decimal without leading zeros, or hex/octal with the ALLOW_* flags.
+ * Values beyond Number.MAX_SAFE_INTEGER fail (PHP's limit is PHP_INT_MAX).
+ */
+function _validateInt(fn, value, flags, options) {
+  const v = _trim(value);
+  if (v === "") return _FAIL;
+  let n;
+  if (flags & FILTER_FLAG_ALLOW_HEX && /^0[xX]/.test(v)) {
+    n = /^0[xX][0-9a-fA-F]+$/.test(v) ? parseInt(v.slice(2), 16) : NaN;
+  } else if (flags & FILTER_FLAG_ALLOW_OCTAL && v[0] === "0") {
+    n = /^0[oO]?[0-7]*$/.test(v) && v !== "0o" && v !== "0O" ? parseInt(v.replace(/^0[oO]?/, "") || "0", 8) : NaN;
+  } else {
+    n = /^[+-]?(?:0|[1-9][0-9]*)$/.test(v) ? Number(v) : NaN;
+  }
+  if (!Number.isSafeInteger(n) || !_inRange(n, options)) return _FAIL;
+  return n === 0 ? 0 : n; // no -0
+}
+
+/** FILTER_VALIDATE_BOOL: 1/true/on/yes and 0/false/off/no/"" (case-insensitive). */
+function _validateBool(fn, value) {
+  const v = _trim(value).toLowerCase();
+  if (["1", "true", "on", "yes"].includes(v)) return true;
+  if (["0", "false", "off", "no", ""].includes(v)) return false;
+  return _FAIL;
+}
+
+/**
+ * FILTER_VALIDATE_FLOAT, with the decimal/thousand options and FILTER_FLAG_ALLOW_THOUSAND
+ * (thousand separators between groups of exactly three digits).
+ */
+function _validateFloat(fn, value, flags, options) {
+  const dec = _charOption(fn, options, "decimal", ".");
+  let tsd = "',.";
+  if (options.thousand !== undefined) {
+    tsd = String(options.thousand);
+    if (tsd === "") argError(fn, `"thousand" option cannot be empty`);
+  }
+  const v = _trim(value);
+  if (v === "") return _FAIL;
+
+  let i = 0;
+  let num = "";
+  if (v[i] === "+" || v[i] === "-") num += v[i++];
+  for (let first = true; ; first = false) {
+    let n = 0;
+    while (i < v.length && v[i] >= "0" && v[i] <= "9") {
+      num += v[i++];
+      n++;
+    }
+    if (i === v.length || v[i] === dec || v[i] === "e" || v[i] === "E") {
+      if (!first && n !== 3) return _FAIL;
+      if (v[i] === dec) {
+        num += ".";
+        i++;
+        while (i < v.length && v[i] >= "0" && v[i] <= "9") num += v[i++];
+      }
+      if (v[i] === "e" || v[i] === "E") {
+        num += v[i++];
+        if (v[i] === "+" || v[i] === "-") num += v[i++];
+        while (i < v.length && v[i] >= "0" && v[i] <= "9") num += v[i++];
+      }
+      break;
+    }
+    if (flags & FILTER_FLAG_ALLOW_THOUSAND && tsd.includes(v[i])) {
+      if (first ? n < 1 || n > 3 : n !== 3) return _FAIL;
+      i++;
+    } else {
+      return _FAIL;
+    }
+  }
+  if (i !== v.length || !/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/.test(num)) return _FAIL;
+  const n = Number(num);
+  if (!Number.isFinite(n) || !_inRange(n, options)) return _FAIL;
+  return n;
+}
+
+/** FILTER_VALIDATE_REGEXP: the `regexp` option is a PHP pattern string ("/^a+$/i") or a RegExp. */
+function _validateRegexp(fn, value, flags, options) {
+  const re = options.regexp;
+  if (re === undefined) argError(fn, `"regexp" option missing`);
+  if (re instanceof RegExp) {
+    re.lastIndex = 0;
+    return re.test(value) ? value : _FAIL;
+  }
+  return preg_match(String(re), value) === 1 ? value : _FAIL;
+}
+
+/**
+ * Domain name check of PHP's _php_filter_validate_domain(): at most 253 characters (a trailing
+ * dot aside), labels of 1 to 63 characters; with `hostname`, labels are letters, digits and inner hyphens.
+ * @param {string} domain
+ * @param {boolean} hostname
+ * @returns {boolean}
+ */
+function _isDomain(domain, hostname) {
+  if (domain === "") return !hostname;
+  const d = domain.endsWith(".") ? domain.slice(0, -1) : domain;
+  if (d === "" || d.length > 253 || d.startsWith(".")) return false;
+  return d.split(".").every((label) => {
+    if (label.length < 1 || label.length > 63) return false;
+    return !hostname || /^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?$/.test(label);
+  });
+}
+
+/** FILTER_VALIDATE_DOMAIN, with FILTER_FLAG_HOSTNAME. */
+function _validateDomain(fn, value, flags) {
+  return _isDomain(value, Boolean(flags & FILTER_FLAG_HOSTNAME)) ? value : _FAIL;
+}
+
+/**
+ * FILTER_VALIDATE_IP: an IPv4 or IPv6 address, restricted by FILTER_FLAG_IPV4/IPV6 (neither: both)
+ * and by the NO_PRIV_RANGE, NO_RES_RANGE and GLOBAL_RANGE flags.
+ */
+function _validateIp(fn, value, flags) {
+  const bytes = parseIp(value);
+  if (!bytes) return _FAIL;
+  const v6 = bytes.length === 16;
+  const families = flags & (FILTER_FLAG_IPV4 | FILTER_FLAG_IPV6);
+  if (families && !(flags & (v6 ? FILTER_FLAG_IPV6 : FILTER_FLAG_IPV4))) return _FAIL;
+  const global = flags & FILTER_FLAG_GLOBAL_RANGE;
+  const ranges = [
+    ...(flags & FILTER_FLAG_NO_PRIV_RANGE || global ? (v6 ? IP_RANGES.private6 : IP_RANGES.private4) : []),
+    ...(flags & FILTER_FLAG_NO_RES_RANGE || global ? (v6 ? IP_RANGES.reserved6 : IP_RANGES.reserved4) : []),
+    ...(global ? (v6 ? IP_RANGES.nonGlobal6 : IP_RANGES.nonGlobal4) : []),
+  ];
+  return ranges.some((c) => inCidr(bytes, c)) ? _FAIL : value;
+}
+
+/** user/pass of a URL: unreserved, sub-delims, ":" and percent-escapes. */
+const _USERINFO = /^(?:[A-Za-z0-9\-._~!$&'()*+,;=:]|%[0-9A-Fa-f]{2})*$/;
+
+/**
+ * FILTER_VALIDATE_URL: only URL characters, a scheme, a host (except for mailto:, news: and file:)
+ * that is a valid hostname or bracketed IPv6 address for http(s), plus the PATH/QUERY_REQUIRED flags.
+ */
+function _validateUrl(fn, value, flags) {
+  if (/[^A-Za-z0-9$\-_.+!*'(),{}|\\^~[\]`<>#%";/?:@&=]/.test(value)) return _FAIL;
+  const url = phpParseUrl(value);
+  if (!url || url.scheme === undefined) return _FAIL;
+  const scheme = url.scheme.toLowerCase();
+  if (scheme === "http" || scheme === "https") {
+    if (url.host === undefined) return _FAIL;
+    const v6 = /^\[(.*)\]$/.exec(url.host);
+    if (!(v6 && v6[1].includes(":") && parseIp(v6[1])) && !_isDomain(url.host, true)) return _FAIL;
+  }
+  if (url.host === undefined && !["mailto", "news", "file"].includes(url.scheme)) return _FAIL;
+  if (flags & FILTER_FLAG_PATH_REQUIRED && url.path === undefined) return _FAIL;
+  if (flags & FILTER_FLAG_QUERY_REQUIRED && url.query === undefined) return _FAIL;
+  if ((url.user !== undefined && !_USERINFO.test(url.user)) || (url.pass !== undefined && !_USERINFO.test(url.pass))) return _FAIL;
+  return value;
+}
+
+/**
+ * PHP's FILTER_VALIDATE_EMAIL expression (Michael Rushton's), and its FILTER_FLAG_EMAIL_UNICODE
+ * variant that also allows letters and digits outside ASCII in the local part.
+ * @param {string} extra characters added to the local part classes
+ */
+function _emailRegExp(extra) {
+  const atom = `[\\x21\\x23-\\x27\\x2A\\x2B\\x2D\\x2F-\\x39\\x3D\\x3F\\x5E-\\x7E${extra}]+`;
+  const quoted = `\\x22(?:[\\x01-\\x08\\x0B\\x0C\\x0E-\\x1F\\x21\\x23-\\x5B\\x5D-\\x7F${extra}]|(?:\\x5C[\\x00-\\x7F]))*\\x22`;
+  const word = `(?:(?:${atom})|(?:${quoted}))`;
+  const octet = "(?:(?:25[0-5])|(?:2[0-4][0-9])|(?:1[0-9]{2})|(?:[1-9]?[0-9]))";
+  const h16 = "[a-f0-9]{1,4}";
+  const domain =
+    "(?:(?!.*[^.]{64,})(?:(?:(?:xn--)?[a-z0-9]+(?:-+[a-z0-9]+)*\\.){1,126}){1,}(?:(?:[a-z][a-z0-9]*)|(?:(?:xn--)[a-z0-9]+))(?:-+[a-z0-9]+)*)";
+  const literal =
+    `\\[(?:(?:IPv6:(?:(?:${h16}(?::${h16}){7})|(?:(?!(?:.*[a-f0-9][:\\]]){7,})(?:${h16}(?::${h16}){0,5})?::(?:${h16}(?::${h16}){0,5})?)))` +
+    `|(?:(?:IPv6:(?:(?:${h16}(?::${h16}){5}:)|(?:(?!(?:.*[a-f0-9]:){5,})(?:${h16}(?::${h16}){0,3})?::(?:${h16}(?::${h16}){0,3}:)?)))?${octet}(?:\\.${octet}){3}))\\]`;
+  const lengths = "(?!(?:(?:\\x22?\\x5C[\\x00-\\x7E]\\x22?)|(?:\\x22?[^\\x5C\\x22]\\x22?)){255,})(?!(?:(?:\\x22?\\x5C[\\x00-\\x7E]\\x22?)|(?:\\x22?[^\\x5C\\x22]\\x22?)){65,}@)";
+  return new RegExp(`^${lengths}${word}(?:\\.${word})*@(?:${domain}|${literal})$`, extra ? "iu" : "i");
+}
+
+const _EMAIL = _emailRegExp("");
+const _EMAIL_UNICODE = _emailRegExp("\\p{L}\\p{N}");
+
+/** FILTER_VALIDATE_EMAIL (RFC 5321 addresses, at most 320 bytes), with FILTER_FLAG_EMAIL_UNICODE. */
+function _validateEmail(fn, value, flags) {
+  if (Buffer.byteLength(value, "utf8") > 320) return _FAIL;
+  return (flags & FILTER_FLAG_EMAIL_UNICODE ? _EMAIL_UNICODE : _EMAIL).test(value) ? value : _FAIL;
+}
+
+/** FILTER_VALIDATE_MAC: 01-23-45-67-89-ab, 01:23:45:67:89:ab or 0123.4567.89ab, with the `separator` option. */
+function _validateMac(fn, value, flags, options) {
+  const expected = _charOption(fn, options, "separator", "");
+  let sep;
+  let group;
+  if (value.length === 14) [sep, group] = [".", 4];
+  else if (value.length === 17 && (value[2] === "-" || value[2] === ":")) [sep, group] = [value[2], 2];
+  else return _FAIL;
+  if (expected && expected !== sep) return _FAIL;
+  const parts = value.split(sep);
+  const count = group === 4 ? 3 : 6;
+  return parts.length === count && parts.every((p) => p.length === group && /^[0-9A-Fa-f]+$/.test(p)) ? value : _FAIL;
+}
+
+/**
+ * Run `transform` over the UTF-8 bytes of `value` (as a latin1 string): the strip/encode flags of
+ * PHP's sanitizers work on bytes, so "é" with FILTER_FLAG_ENCODE_HIGH becomes "&#195;&#169;".
+ * @param {string} value
+ * @param {(bytes:string) => string} transform
+ * @returns {string}
+ */
+function _onBytes(value, transform) {
+  return Buffer.from(transform(Buffer.from(value, "utf8").toString("latin1")), "latin1").toString("utf8");
+}
+
+/**
+ * php_filter_strip(): drop bytes below 32, from 127 and backticks per the STRIP_* flags.
+ * @param {string} bytes
+ * @param {number} flags
+ */
+function _strip(bytes, flags) {
+  if (!(flags & (FILTER_FLAG_STRIP_LOW | FILTER_FLAG_STRIP_HIGH | FILTER_FLAG_STRIP_BACKTICK))) return bytes;
+  let out = "";
+  for (const ch of bytes) {
+    const c = ch.charCodeAt(0);
+    if ((c < 32 && flags & FILTER_FLAG_STRIP_LOW) || (c >= 127 && flags & FILTER_FLAG_STRIP_HIGH) || (ch === "`" && flags & FILTER_FLAG_STRIP_BACKTICK)) continue;
+    out += ch;
+  }
+  return out;
+}
+
+/**
+ * php_filter_encode_html(): bytes selected by `encode` become "&#NN;".
+ * @param {string} bytes
+ * @param {(code:number) => boolean} encode
+ */
+function _encodeHtml(bytes, encode) {
+  let out = "";
+  for (const ch of bytes) {
+    const c = ch.charCodeAt(0);
+    out += encode(c) ? `&#${c};` : ch;
+  }
+  return out;
+}
+
+/**
+ * Bytes the ENCODE_* flags select (besides what a filter always encodes).
+ * @param {number} flags
+ * @returns {(code:number) => boolean}
+ */
+function _encodeFlags(flags) {
+  return (c) =>
+    (c === 0x26 && Boolean(flags & FILTER_FLAG_ENCODE_AMP)) ||
+    (c < 32 && Boolean(flags & FILTER_FLAG_ENCODE_LOW)) ||
+    (c >= 127 && Boolean(flags & FILTER_FLAG_ENCODE_HIGH));
+}
+
+/** FILTER_SANITIZE_STRING (deprecated in PHP 8.1): strip/encode per flags, encode quotes, strip tags. */
+function _sanitizeString(fn, value, flags) {
+  const byFlags = _encodeFlags(flags);
+  const quotes = !(flags & FILTER_FLAG_NO_ENCODE_QUOTES);
+  const out = _onBytes(value, (b) =>
+    strip_tags(_encodeHtml(_strip(b, flags), (c) => byFlags(c) || (quotes && (c === 0x22 || c === 0x27)))).replace(/\0/g, ""),
+  );
+  if (out === "") return flags & FILTER_FLAG_EMPTY_STRING_NULL ? null : "";
+  return out;
+}
+
+/** FILTER_SANITIZE_ENCODED: URL-encode everything but letters, digits and "-._". */
+function _sanitizeEncoded(fn, value, flags) {
+  return _onBytes(value, (b) =>
+    _strip(b, flags).replace(/[^A-Za-z0-9\-._]/g, (ch) => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`),
+  );
+}
+
+/** FILTER_SANITIZE_SPECIAL_CHARS: encode '"<>& and bytes below 32 (from 127 with ENCODE_HIGH). */
+function _sanitizeSpecialChars(fn, value, flags) {
+  return _onBytes(value, (b) =>
+    _encodeHtml(_strip(b, flags), (c) => c < 32 || c === 0x22 || c === 0x27 || c === 0x3c || c === 0x3e || c === 0x26 || (c >= 127 && Boolean(flags & FILTER_FLAG_ENCODE_HIGH))),
+  );
+}
+
+/** Character -> entity name, for FILTER_SANITIZE_FULL_SPECIAL_CHARS. */
+const _ENTITY_NAMES = new Map(Object.entries(htmlEntities).filter(([name]) => name !== "apos").map(([name, ch]) => [ch, name]));
+
+/** FILTER_SANITIZE_FULL_SPECIAL_CHARS: htmlentities() with ENT_QUOTES (unless NO_ENCODE_QUOTES), no double encoding. */
+function _sanitizeFullSpecialChars(fn, value, flags) {
+  const quotes = !(flags & FILTER_FLAG_NO_ENCODE_QUOTES);
+  return value.replace(/&(?:[A-Za-z][A-Za-z0-9]*|#[0-9]+|#[xX][0-9A-Fa-f]+);|[^]/gu, (ch) => {
+    if (ch.length > 1 && ch[0] === "&") return ch; // an entity already
+    if (ch === "'") return quotes ? "&#039;" : ch;
+    if (ch === '"') return quotes ? "&quot;" : ch;
+    const name = _ENTITY_NAMES.get(ch);
+    return name ? `&${name};` : ch;
+  });
+}
+
+/** FILTER_UNSAFE_RAW: unchanged, unless strip/encode flags are given. */
+function _unsafeRaw(fn, value, flags) {
+  if (value === "") return flags & FILTER_FLAG_EMPTY_STRING_NULL ? null : "";
+  if (!flags) return value;
+  return _onBytes(value, (b) => _encodeHtml(_strip(b, flags), _encodeFlags(flags)));
+}
+
+/**
+ * A sanitizer that removes every character matched by `disallowed`.
+ * @param {RegExp} disallowed global negated class of the allowed characters
+ */
+function _keepOnly(disallowed) {
+  return (fn, value) => value.replace(disallowed, "");
+}
+
+/** FILTER_SANITIZE_NUMBER_FLOAT: digits and signs, plus ".", "," and "eE" with the ALLOW_* flags. */
+function _sanitizeNumberFloat(fn, value, flags) {
+  let allowed = "0-9+\\-";
+  if (flags & FILTER_FLAG_ALLOW_FRACTION) allowed += ".";
+  if (flags & FILTER_FLAG_ALLOW_THOUSAND) allowed += ",";
+  if (flags & FILTER_FLAG_ALLOW_SCIENTIFIC) allowed += "eE";
+  return value.replace(new RegExp(`[^${allowed}]`, "g"), "");
+}
+
+/** FILTER_CALLBACK: `options` is the function, called with each (string) value. */
+function _callback(fn, value, flags, callback) {
+  if (typeof callback !== "function") argError(fn, "First argument is expected to be a valid callback");
+  return callback(value);
+}
+
+/**
+ * Filter implementations: id -> (fn, value, flags, options) => filtered value or _FAIL.
+ * `value` is the scalar already converted to a string, as PHP does before filtering.
+ * @type {Map<number, (fn:string, value:string, flags:number, options:Record<string, any>) => any>}
+ */
+const _FILTERS = new Map([
+  [FILTER_VALIDATE_INT, _validateInt],
+  [FILTER_VALIDATE_BOOL, _validateBool],
+  [FILTER_VALIDATE_FLOAT, _validateFloat],
+  [FILTER_VALIDATE_REGEXP, _validateRegexp],
+  [FILTER_VALIDATE_DOMAIN, _validateDomain],
+  [FILTER_VALIDATE_URL, _validateUrl],
+  [FILTER_VALIDATE_EMAIL, _validateEmail],
+  [FILTER_VALIDATE_IP, _validateIp],
+  [FILTER_VALIDATE_MAC, _validateMac],
+  [FILTER_SANITIZE_STRING, _sanitizeString],
+  [FILTER_SANITIZE_ENCODED, _sanitizeEncoded],
+  [FILTER_SANITIZE_SPECIAL_CHARS, _sanitizeSpecialChars],
+  [FILTER_SANITIZE_FULL_SPECIAL_CHARS, _sanitizeFullSpecialChars],
+  [FILTER_UNSAFE_RAW, _unsafeRaw],
+  [FILTER_SANITIZE_EMAIL, _keepOnly(/[^A-Za-z0-9!#$%&'*+\-=?^_`{|}~@.[\]]/g)],
+  [FILTER_SANITIZE_URL, _keepOnly(/[^A-Za-z0-9$\-_.+!*'(),{}|\\^~[\]`<>#%";/?:@&=]/g)],
+  [FILTER_SANITIZE_NUMBER_INT, _keepOnly(/[^0-9+-]/g)],
+  [FILTER_SANITIZE_NUMBER_FLOAT, _sanitizeNumberFloat],
+  [FILTER_SANITIZE_ADD_SLASHES, (fn, v) => addslashes(v)],
+  [FILTER_CALLBACK, _callback],
+]);
+
+/** filter_list() names, in PHP's order. */
+const _FILTER_NAMES = [
+  ["int", FILTER_VALIDATE_INT],
+  ["boolean", FILTER_VALIDATE_BOOL],
+  ["bool", FILTER_VALIDATE_BOOL],
+  ["float", FILTER_VALIDATE_FLOAT],
+  ["validate_regexp", FILTER_VALIDATE_REGEXP],
+  ["validate_domain", FILTER_VALIDATE_DOMAIN],
+  ["validate_url", FILTER_VALIDATE_URL],
+  ["validate_email", FILTER_VALIDATE_EMAIL],
+  ["validate_ip", FILTER_VALIDATE_IP],
+  ["validate_mac", FILTER_VALIDATE_MAC],
+  ["string", FILTER_SANITIZE_STRING],
+  ["stripped", FILTER_SANITIZE_STRIPPED],
+  ["encoded", FILTER_SANITIZE_ENCODED],
+  ["special_chars", FILTER_SANITIZE_SPECIAL_CHARS],
+  ["full_special_chars", FILTER_SANITIZE_FULL_SPECIAL_CHARS],
+  ["unsafe_raw", FILTER_UNSAFE_RAW],
+  ["email", FILTER_SANITIZE_EMAIL],
+  ["url", FILTER_SANITIZE_URL],
+  ["number_int", FILTER_SANITIZE_NUMBER_INT],
+  ["number_float", FILTER_SANITIZE_NUMBER_FLOAT],
+  ["add_slashes", FILTER_SANITIZE_ADD_SLASHES],
+  ["callback", FILTER_CALLBACK],
+];
+
+/**
+ * Split filter_var()'s third argument: flags as an int, or {flags, options}.
+ * @param {string} fn
+ * @param {any} options
+ * @returns {{flags:number, options:Record<string, any>}}
+ */
+function _filterArgs(fn, options) {
+  if (options === undefined || options === null) return { flags: 0, options: {} };
+  if (typeof options === "number") return { flags: options, options: {} };
+  if (typeof options !== "object" || Array.isArray(options)) typeError(fn, 3, "array|int", options);
+  const flags = options.flags ?? 0;
+  if (typeof flags !== "number") argError(fn, `expects "flags" to be int, ${typeof flags} given`);
+  return { flags, options: options.options ?? {} };
+}
+
+/**
+ * Scalar as the string PHP filters see, or null for values that cannot be filtered.
+ * @param {any} value
+ * @returns {string|null}
+ */
+function _scalarString(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (value === true) return "1";
+  if (typeof value === "string") return value;
+  if (typeof value === "number" || typeof value === "bigint") return String(value);
+  return null;
+}
+
+/**
+ * @param {number} flags
+ * @returns {false|null}
+ */
+function _failure(flags) {
+  return flags & FILTER_NULL_ON_FAILURE ? null : false;
+}
+
+/**
+ * Apply one filter to a value, with PHP's scalar/array flag handling.
+ * @param {string} fn
+ * @param {any} value
+ * @param {number} filter
+ * @param {number} flags
+ * @param {Record<string, any>} options
+ * @param {((path:string[], reason:FilterErrorReason, value:any) => void)|null} [onFail] told about each
+ *   failing element (`path` from `value` down to it), unless a `default` option stands in for it
+ * @returns {any}
+ */
+function _filter(fn, value, filter, flags, options, onFail = null) {
+  const run = _FILTERS.get(filter);
+  if (!run) argError(fn, `Unknown filter with ID ${filter}`);
+  // PHP ignores the flags of FILTER_CALLBACK and applies it to every element of an array
+  if (filter === FILTER_CALLBACK) flags = 0;
+  const one = (v, path) => {
+    if (v !== null && typeof v === "object") {
+      if (filter !== FILTER_CALLBACK && !(flags & (FILTER_REQUIRE_ARRAY | FILTER_FORCE_ARRAY))) {
+        onFail?.(path, "scalar_expected", v);
+        return _failure(flags);
+      }
+      const out = Array.isArray(v) ? [] : {};
+      for (const k of Object.keys(v)) out[k] = one(v[k], [...path, k]);
+      return out;
+    }
+    const s = _scalarString(v);
+    const r = s === null ? _FAIL : run(fn, s, flags, options);
+    const hasDefault = Object.hasOwn(options, "default");
+    if (r === _FAIL && !hasDefault) onFail?.(path, "invalid", v);
+    const out = r === _FAIL ? _failure(flags) : r;
+    // like PHP, "default" replaces any false result (null with FILTER_NULL_ON_FAILURE), even a valid false
+    return out === _failure(flags) && hasDefault ? options.default : out;
+  };
+  const isArray = value !== null && typeof value === "object";
+  if (flags & FILTER_REQUIRE_ARRAY && !isArray) {
+    onFail?.([], "array_expected", value);
+    return _failure(flags);
+  }
+  if (flags & FILTER_FORCE_ARRAY && !isArray) return [one(value, [])];
+  return one(value, []);
+}
+
+/**
+ * filter_var — Filters a variable with a specified filter.
+ * Validation filters: FILTER_VALIDATE_INT, _BOOL, _FLOAT, _REGEXP, _DOMAIN, _URL, _EMAIL, _IP, _MAC.
+ * Sanitizers: FILTER_SANITIZE_STRING, _ENCODED, _SPECIAL_CHARS, _FULL_SPECIAL_CHARS, _EMAIL, _URL, _NUMBER_INT,
+ * _NUMBER_FLOAT, _ADD_SLASHES and FILTER_UNSAFE_RAW (FILTER_DEFAULT), with the STRIP_* / ENCODE_* flags.
+ * FILTER_CALLBACK takes the function as `options`: filter_var(v, FILTER_CALLBACK, { options: fn }).
+ * Options: `default` (returned instead of a failure), `min_range`/`max_range` (INT, FLOAT),
+ * `decimal`/`thousand` (FLOAT), `regexp` (REGEXP), `separator` (MAC).
+ * @see https://www.php.net/manual/en/function.filter-var.php
+ * @param {any} variable
+ * @param {number} [filter=FILTER_DEFAULT]
+ * @param {number|{flags?:number, options?:Record<string, any>}} [options] flags, or flags and options
+ * @returns {any|false} false (null with FILTER_NULL_ON_FAILURE) when the value does not pass
+ */
+export function filter_var(variable, filter = FILTER_DEFAULT, options = 0) {
+  assertArity("filter_var", arguments, 1, 3);
+  assertNumber("filter_var", 2, filter);
+  const { flags, options: opts } = _filterArgs("filter_var", options);
+  return _filter("filter_var", variable, filter, flags, opts);
+}
+
+/**
+ * filter_list — Names of the supported filters.
+ * @see https://www.php.net/manual/en/function.filter-list.php
+ * @returns {string[]}
+ */
+export function filter_list() {
+  assertArity("filter_list", arguments, 0, 0);
+  return _FILTER_NAMES.map(([name]) => name);
+}
+
+/**
+ * filter_id — ID of a filter named by filter_list().
+ * @see https://www.php.net/manual/en/function.filter-id.php
+ * @param {string} name
+ * @returns {number|false}
+ */
+export function filter_id(name) {
+  assertArity("filter_id", arguments, 1, 1);
+  assertString("filter_id", 1, name);
+  return _FILTER_NAMES.find(([n]) => n === name)?.[1] ?? false;
+}
+
+/**
+ * Raw data of an INPUT_* source, or null when it is not populated: no request was passed and none
+ * is bound to this context. An earlier request on the same connection whose response has finished
+ * is not this one (see currentRequest()).
+ * @param {string} fn
+ * @param {number} type
+ * @param {any} req
+ * @returns {Promise<Record<string, any>|null>}
+ */
+async function _input(fn, type, req) {
+  if (type === INPUT_ENV) return { ...process.env };
+  if (![INPUT_GET, INPUT_POST, INPUT_COOKIE, INPUT_SERVER].includes(type)) {
+    argError(fn, "expects parameter 1 to be an INPUT_* constant");
+  }
+  const r = req ?? currentRequest();
+  if (!r) return null;
+  if (type === INPUT_GET) return $_GET(r);
+  if (type === INPUT_POST) return $_POST(r);
+  if (type === INPUT_COOKIE) return $_COOKIE(r);
+  return $_SERVER(r);
+}
+
+/**
+ * filter_input — Gets a specific external variable by name and filters it.
+ * @see https://www.php.net/manual/en/function.filter-input.php
+ * @param {number} type INPUT_GET, INPUT_POST, INPUT_COOKIE, INPUT_SERVER or INPUT_ENV
+ * @param {string} var_name
+ * @param {number} [filter=FILTER_DEFAULT]
+ * @param {number|{flags?:number, options?:Record<string, any>}} [options]
+ * @param {any} [req] defaults to the current request
+ * @returns {Promise<any>} the filtered value, false when it does not pass, null when it is missing
+ *   (with FILTER_NULL_ON_FAILURE: null and false respectively)
+ */
+export async function filter_input(type, var_name, filter = FILTER_DEFAULT, options = 0, req = undefined) {
+  assertArity("filter_input", arguments, 2, 5);
+  assertNumber("filter_input", 1, type);
+  assertString("filter_input", 2, var_name);
+  assertNumber("filter_input", 3, filter);
+  const { flags, options: opts } = _filterArgs("filter_input", options);
+  const input = await _input("filter_input", type, req);
+  if (!input || !Object.hasOwn(input, var_name)) {
+    if (Object.hasOwn(opts, "default")) return opts.default;
+    return flags & FILTER_NULL_ON_FAILURE ? false : null;
+  }
+  return _filter("filter_input", input[var_name], filter, flags, opts);
+}
+
+/**
+ * The filter_var_array_report() failure callback for one filter, or null when no report was asked for.
+ * @param {FilterError[]|null} errors
+ * @param {number} filter
+ * @param {string[]} prefix path of the filtered value in the data
+ */
+function _reporter(errors, filter, prefix) {
+  if (!errors) return null;
+  const name = _FILTER_NAMES.find(([, id]) => id === filter)?.[0] ?? String(filter);
+  return (path, reason, value) => {
+    const full = [...prefix, ...path];
+    errors.push({ field: full[0], path: full, reason, filter: name, value });
+  };
+}
+
+/**
+ * Filter `data` by a filter_input_array()/filter_var_array() definition.
+ * @param {string} fn
+ * @param {Record<string, any>} data
+ * @param {number|Record<string, number|{filter?:number, flags?:number, options?:Record<string, any>}>} definition
+ * @param {boolean} addEmpty
+ * @param {FilterError[]|null} [errors] failures are appended here
+ * @returns {Record<string, any>}
+ */
+function _filterArray(fn, data, definition, addEmpty, errors = null) {
+  if (typeof definition === "number") {
+    return _filter(fn, data, definition, FILTER_REQUIRE_ARRAY, {}, _reporter(errors, definition, []));
+  }
+  const out = {};
+  for (const [key, def] of Object.entries(definition)) {
+    if (key === "") argError(fn, "Empty keys are not allowed in the definition array");
+    const filter = typeof def === "number" ? def : def?.filter ?? FILTER_DEFAULT;
+    const onFail = _reporter(errors, filter, [key]);
+    if (!Object.hasOwn(data, key)) {
+      onFail?.([], "missing", undefined);
+      if (addEmpty) out[key] = null;
+      continue;
+    }
+    if (typeof def === "number") {
+      out[key] = _filter(fn, data[key], def, 0, {}, onFail);
+    } else {
+      const { flags, options } = _filterArgs(fn, def);
+      out[key] = _filter(fn, data[key], filter, flags, options, onFail);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {string} fn
+ * @param {any} array
+ * @param {any} definition
+ * @param {any} add_empty
+ */
+function _assertArrayArgs(fn, array, definition, add_empty) {
+  if (array === null || typeof array !== "object") typeError(fn, 1, "array", array);
+  if (typeof definition !== "number" && (definition === null || typeof definition !== "object" || Array.isArray(definition))) {
+    typeError(fn, 2, "array|int", definition);
+  }
+  assertBoolean(fn, 3, add_empty);
+}
+
+/**
+ * filter_var_array — Gets multiple variables and optionally filters them.
+ * `definition` is one filter for every value, or `{ key: FILTER_ID }` / `{ key: { filter, flags, options } }`,
+ * with the same filters, flags and options as filter_var(). See filter_var_array_report() for the failures.
+ * @see https://www.php.net/manual/en/function.filter-var-array.php
+ * @param {Record<string, any>} array
+ * @param {number|Record<string, any>} [definition=FILTER_DEFAULT]
+ * @param {boolean} [add_empty=true] add missing keys as null
+ * @returns {Record<string, any>}
+ */
+export function filter_var_array(array, definition = FILTER_DEFAULT, add_empty = true) {
+  assertArity("filter_var_array", arguments, 1, 3);
+  _assertArrayArgs("filter_var_array", array, definition, add_empty);
+  return _filterArray("filter_var_array", array, definition, add_empty, null);
+}
+
+/**
+ * NOT PHP
+ * filter_var_array_report — filter_var_array(), plus one FilterError per failure: a missing key, an
+ * invalid value (each failing element of an array), or an array where a scalar is expected or the
+ * reverse. Failures replaced by a `default` option are not reported.
+ * @param {Record<string, any>} array
+ * @param {number|Record<string, any>} [definition=FILTER_DEFAULT]
+ * @param {boolean} [add_empty=true] add missing keys as null
+ * @returns {{values: Record<string, any>, errors: FilterError[]}}
+ */
+export function filter_var_array_report(array, definition = FILTER_DEFAULT, add_empty = true) {
+  assertArity("filter_var_array_report", arguments, 1, 3);
+  _assertArrayArgs("filter_var_array_report", array, definition, add_empty);
+  /** @type {FilterError[]} */
+  const errors = [];
+  const values = _filterArray("filter_var_array_report", array, definition, add_empty, errors);
+  return { values, errors };
+}
+
+/**
+ * filter_input_array — Gets external variables and optionally filters them.
+ * `options` is one filter for every value, or a definition: `{ key: FILTER_ID }` or
+ * `{ key: { filter, flags, options } }`.
+ * @see https://www.php.net/manual/en/function.filter-input-array.php
+ * @param {number} type INPUT_GET, INPUT_POST, INPUT_COOKIE, INPUT_SERVER or INPUT_ENV
+ * @param {number|Record<string, any>} [options=FILTER_DEFAULT]
+ * @param {boolean} [add_empty=true] add missing keys as null
+ * @param {any} [req] defaults to the current request
+ * @returns {Promise<Record<string, any>|null|false>} null when the source is not populated
+ */
+export async function filter_input_array(type, options = FILTER_DEFAULT, add_empty = true, req = undefined) {
+  assertArity("filter_input_array", arguments, 1, 4);
+  assertNumber("filter_input_array", 1, type);
+  if (typeof options !== "number" && (options === null || typeof options !== "object" || Array.isArray(options))) {
+    typeError("filter_input_array", 2, "array|int", options);
+  }
+  assertBoolean("filter_input_array", 3, add_empty);
+  const input = await _input("filter_input_array", type, req);
+  if (!input) return null;
+  return _filterArray("filter_input_array", input, options, add_empty);
+}
+
+/**
+ * filter_has_var — Checks if a variable of the specified type exists.
+ * @see https://www.php.net/manual/en/function.filter-has-var.php
+ * @param {number} input_type INPUT_GET, INPUT_POST, INPUT_COOKIE, INPUT_SERVER or INPUT_ENV
+ * @param {string} var_name
+ * @param {any} [req] defaults to the current request
+ * @returns {Promise<boolean>}
+ */
+export async function filter_has_var(input_type, var_name, req = undefined) {
+  assertArity("filter_has_var", arguments, 2, 3);
+  assertNumber("filter_has_var", 1, input_type);
+  assertString("filter_has_var", 2, var_name);
+  const input = await _input("filter_has_var", input_type, req);
+  return Boolean(input) && Object.hasOwn(input, var_name);
+}
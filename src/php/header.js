@@ -0,0 +1,206 @@
+/**
+ * PHP-like HTTP header functions.
+ *
+ * In PHP, header() talks to the SAPI. In Node, these functions act on the response bound to the
+ * current request (by session_start(), the middleware adapters, response_run() or response_bind()),
+ * or on a ServerResponse-like `res` passed as the last argument.
+ *
+ * @module php/header
+ */
+
+import { argError, assertArity, assertBoolean, assertNumber, assertString, typeError } from "../internal/assert.js";
+import {
+  appendHeaderLine,
+  bindResponse,
+  currentResponse,
+  headersSent,
+  registerHeaderCallback,
+  resolveResponse,
+  runWithResponse,
+  setHeaderLine,
+} from "../internal/response.js";
+
+/**
+ * @param {string} fn
+ * @param {any} res
+ */
+function _assertNotSent(fn, res) {
+  if (headersSent(res)) throw new Error(`${fn}(): Cannot modify header information - headers already sent`);
+}
+
+/**
+ * Status PHP switches to when a Location header is set without an explicit code:
+ * 303 for HTTP/1.1 requests other than GET/HEAD, else 302.
+ * @param {any} req
+ * @returns {number}
+ */
+function _redirectStatus(req) {
+  const method = String(req?.method ?? "GET").toUpperCase();
+  const http11 = Number(req?.httpVersion ?? 1.0) > 1.0;
+  return http11 && method !== "GET" && method !== "HEAD" ? 303 : 302;
+}
+
+/**
+ * NOT PHP
+ * response_bind — Make `res` the current response for header(), setcookie(), ... in this request's
+ * async context. session_start() and the middleware adapters do this already; call it first thing
+ * in a plain node:http handler, before any await.
+ * @param {any} req Node http.IncomingMessage-like object
+ * @param {any} res Node http.ServerResponse-like object
+ * @returns {void}
+ */
+export function response_bind(req, res) {
+  assertArity("response_bind", arguments, 2, 2);
+  if (!res || typeof res.setHeader !== "function") typeError("response_bind", 2, "ServerResponse", res);
+  bindResponse(req, res);
+}
+
+/**
+ * NOT PHP
+ * response_run — Call `callback` with `res` as the current response, in an async context of its own.
+ * Unlike response_bind() or a bare session_start(), nothing it binds (the response, the session,
+ * output buffers) can be seen by the next request on the same keep-alive connection:
+ * `http.createServer((req, res) => response_run(req, res, async () => { ... }))`.
+ * @template T
+ * @param {any} req Node http.IncomingMessage-like object
+ * @param {any} res Node http.ServerResponse-like object
+ * @param {() => T} callback
+ * @returns {T} what `callback` returns
+ */
+export function response_run(req, res, callback) {
+  assertArity("response_run", arguments, 3, 3);
+  if (!res || typeof res.setHeader !== "function") typeError("response_run", 2, "ServerResponse", res);
+  if (typeof callback !== "function") typeError("response_run", 3, "callable", callback);
+  return runWithResponse(req, res, callback);
+}
+
+/**
+ * header — Send a raw HTTP header.
+ * - "Name: value" replaces earlier values of Name, or adds one more when `replace` is false.
+ * - "HTTP/1.1 404 Not Found" sets the status line.
+ * - Location sets 302 (303 for non-GET HTTP/1.1 requests) unless the status is already 201 or 3xx;
+ *   WWW-Authenticate sets 401. A non-zero `response_code` wins over both.
+ * @see https://www.php.net/manual/en/function.header.php
+ * @param {string} header
+ * @param {boolean} [replace=true]
+ * @param {number} [response_code=0]
+ * @param {any} [res] defaults to the current response
+ * @returns {void}
+ */
+export function header(header, replace = true, response_code = 0, res = undefined) {
+  assertArity("header", arguments, 1, 4);
+  assertString("header", 1, header);
+  assertBoolean("header", 2, replace);
+  assertNumber("header", 3, response_code);
+  if (/[\r\n]/.test(header)) argError("header", "may not contain more than a single header, new line detected");
+  const r = resolveResponse("header", res);
+  _assertNotSent("header", r);
+
+  const status = /^HTTP\/\S+\s+(\d{3})(?:\s+(.*))?$/i.exec(header.trim());
+  if (status) {
+    r.statusCode = Number(status[1]);
+    if (status[2]) r.statusMessage = status[2];
+  } else {
+    const colon = header.indexOf(":");
+    if (colon <= 0) argError("header", `expects a "Name: value" header or a status line, "${header}" given`);
+    const name = header.slice(0, colon).trim();
+    const value = header.slice(colon + 1).trim();
+    if (replace) setHeaderLine(r, name, value);
+    else appendHeaderLine(r, name, value);
+
+    const lower = name.toLowerCase();
+    const code = r.statusCode ?? 200;
+    if (lower === "location" && response_code === 0 && (code < 300 || code > 399) && code !== 201) {
+      r.statusCode = _redirectStatus(r.req ?? null);
+    } else if (lower === "www-authenticate" && response_code === 0) {
+      r.statusCode = 401;
+    }
+  }
+  if (response_code > 0) r.statusCode = response_code;
+}
+
+/**
+ * header_remove — Remove a previously set header, or all of them when no name is given.
+ * @see https://www.php.net/manual/en/function.header-remove.php
+ * @param {string|null} [name]
+ * @param {any} [res] defaults to the current response
+ * @returns {void}
+ */
+export function header_remove(name = null, res = undefined) {
+  assertArity("header_remove", arguments, 0, 2);
+  if (name !== null) assertString("header_remove", 1, name);
+  const r = resolveResponse("header_remove", res);
+  _assertNotSent("header_remove", r);
+  const names = name === null ? (r.getHeaderNames?.() ?? []) : [name];
+  for (const n of names) r.removeHeader(n);
+}
+
+/**
+ * headers_list — Returns the headers set so far as "Name: value" lines (one per value).
+ * Outside a request (no response bound and none given) it returns an empty array, like PHP's CLI.
+ * @see https://www.php.net/manual/en/function.headers-list.php
+ * @param {any} [res] defaults to the current response
+ * @returns {string[]}
+ */
+export function headers_list(res = undefined) {
+  assertArity("headers_list", arguments, 0, 1);
+  const r = res ?? currentResponse();
+  if (!r) return [];
+  const names = r.getRawHeaderNames?.() ?? r.getHeaderNames?.() ?? [];
+  const out = [];
+  for (const n of names) {
+    const v = r.getHeader(n);
+    for (const item of Array.isArray(v) ? v : [v]) out.push(`${n}: ${item}`);
+  }
+  return out;
+}
+
+/**
+ * headers_sent — Checks whether the headers have already been sent (`res.headersSent`).
+ * @see https://www.php.net/manual/en/function.headers-sent.php
+ * @param {any} [res] defaults to the current response
+ * @returns {boolean}
+ */
+export function headers_sent(res = undefined) {
+  assertArity("headers_sent", arguments, 0, 1);
+  return headersSent(res ?? currentResponse());
+}
+
+/**
+ * http_response_code — Get or set the HTTP response status code.
+ * Returns the previous code when setting, the current one when getting, and false when there is
+ * no response (outside a request) or, when setting, the headers were already sent.
+ * @see https://www.php.net/manual/en/function.http-response-code.php
+ * @param {number} [response_code=0] 0 only reads the code
+ * @param {any} [res] defaults to the current response
+ * @returns {number|boolean}
+ */
+export function http_response_code(response_code = 0, res = undefined) {
+  assertArity("http_response_code", arguments, 0, 2);
+  assertNumber("http_response_code", 1, response_code);
+  const r = res ?? currentResponse();
+  if (!r) return false;
+  const previous = r.statusCode ?? 200;
+  if (response_code > 0) {
+    if (headersSent(r)) return false;
+    r.statusCode = Math.trunc(response_code);
+  }
+  return previous;
+}
+
+/**
+ * header_register_callback — Call a function right before the headers are sent
+ * (one callback per response; registering again replaces it).
+ * @see https://www.php.net/manual/en/function.header-register-callback.php
+ * @param {() => void} callback
+ * @param {any} [res] defaults to the current response
+ * @returns {boolean}
+ */
+export function header_register_callback(callback, res = undefined) {
+  assertArity("header_register_callback", arguments, 1, 2);
+  if (typeof callback !== "function") typeError("header_register_callback", 1, "callable", callback);
+  const r = resolveResponse("header_register_callback", res);
+  if (headersSent(r)) return false;
+  registerHeaderCallback(r, callback);
+  return true;
+}
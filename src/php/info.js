@@ -0,0 +1,137 @@
+/**
+ * PHP runtime configuration (php.ini directives) for the settings jLive understands.
+ *
+ * - Directives are process-wide, like php.ini; only the ones listed below exist.
+ * - Values are stored as strings, the way PHP stores them (true -> "1", false -> "").
+ * - ini_set() returns false for unknown directives and for values a directive rejects.
+ *
+ * @module php/info
+ */
+
+import { assertArity, assertString, typeError } from "../internal/assert.js";
+
+/** @param {string} v @returns {boolean} */
+function _isIniSize(v) {
+  return /^\d+[KMG]?$/i.test(v.trim());
+}
+
+/**
+ * Known directives: default value plus an optional validator for ini_set().
+ * @type {Record<string, {value:string, validate?:(v:string)=>boolean}>}
+ */
+const _directives = {
+  // json is jLive's historical session format; php/php_binary/php_serialize interoperate with PHP.
+  "session.serialize_handler": { value: "json", validate: (v) => ["json", "php", "php_binary", "php_serialize"].includes(v) },
+  // Opt-in exclusive lock per session id from session_start() until the session is closed.
+  "session.locking": { value: "0" },
+  // Seconds (fractions allowed) session_start() waits for a lock before giving up.
+  "session.lock_timeout": { value: "30", validate: (v) => v !== "" && Number(v) >= 0 },
+  // Opt-in: write and close a still-active session when its response finishes.
+  "session.auto_write_close": { value: "0" },
+  "session.use_strict_mode": { value: "0" },
+  // Generated ids: sid_length characters of sid_bits_per_character bits each (4: 0-9a-f, 5: 0-9a-v, 6: 0-9a-zA-Z,-).
+  "session.sid_length": { value: "32", validate: (v) => Number.isInteger(Number(v)) && Number(v) >= 22 && Number(v) <= 256 },
+  "session.sid_bits_per_character": { value: "4", validate: (v) => ["4", "5", "6"].includes(v) },
+  // Skip rewriting unchanged data on close; only the timestamp is refreshed.
+  "session.lazy_write": { value: "1" },
+  // session_start() runs gc with probability gc_probability/gc_divisor.
+  "session.gc_probability": { value: "1", validate: (v) => Number(v) >= 0 },
+  "session.gc_divisor": { value: "100", validate: (v) => Number(v) > 0 },
+  "session.gc_maxlifetime": { value: "1440", validate: (v) => Number(v) > 0 },
+  // Superglobals merged into $_REQUEST, later letters winning: G(et), P(ost), C(ookie); "" means "GPC".
+  "request_order": { value: "GP", validate: (v) => /^[GPC]*$/i.test(v) },
+  // Largest request body $_POST reads (bytes, or with a K/M/G suffix); bigger bodies give an empty $_POST.
+  "post_max_size": { value: "8M", validate: _isIniSize },
+  // Variables read per query string, form body or multipart body (further ones are ignored), and the deepest `a[b][c]` nesting kept.
+  "max_input_vars": { value: "1000", validate: (v) => /^\d+$/.test(v) && Number(v) > 0 },
+  "max_input_nesting_level": { value: "64", validate: (v) => /^\d+$/.test(v) },
+  // multipart/form-data uploads ($_FILES): on/off, per-file size limit, files per request, temp directory ("" = OS default).
+  "file_uploads": { value: "1" },
+  "upload_max_filesize": { value: "2M", validate: _isIniSize },
+  "max_file_uploads": { value: "20", validate: (v) => /^\d+$/.test(v) },
+  "upload_tmp_dir": { value: "" },
+};
+
+/** @type {Map<string, string>} */
+const _values = new Map();
+
+/** @param {any} v @returns {string} */
+function _toIniString(v) {
+  if (v === null || v === undefined || v === false) return "";
+  if (v === true) return "1";
+  return String(v);
+}
+
+/**
+ * ini_get — Gets the value of a configuration option.
+ * @see https://www.php.net/manual/en/function.ini-get.php
+ * @param {string} option
+ * @returns {string|false}
+ */
+export function ini_get(option) {
+  assertArity("ini_get", arguments, 1, 1);
+  assertString("ini_get", 1, option);
+  if (!Object.prototype.hasOwnProperty.call(_directives, option)) return false;
+  return _values.get(option) ?? _directives[option].value;
+}
+
+/**
+ * ini_set — Sets the value of a configuration option.
+ * @see https://www.php.net/manual/en/function.ini-set.php
+ * @param {string} option
+ * @param {string|number|boolean|null} value
+ * @returns {string|false} the old value on success, false on failure
+ */
+export function ini_set(option, value) {
+  assertArity("ini_set", arguments, 2, 2);
+  assertString("ini_set", 1, option);
+  if (value !== null && !["string", "number", "boolean"].includes(typeof value)) {
+    typeError("ini_set", 2, "string|int|float|bool|null", value);
+  }
+  if (!Object.prototype.hasOwnProperty.call(_directives, option)) return false;
+
+  const next = _toIniString(value);
+  const { validate } = _directives[option];
+  if (validate && !validate(next)) return false;
+
+  const old = ini_get(option);
+  _values.set(option, next);
+  return old;
+}
+
+/**
+ * ini_restore — Restores the value of a configuration option to its default.
+ * @see https://www.php.net/manual/en/function.ini-restore.php
+ * @param {string} option
+ * @returns {void}
+ */
+export function ini_restore(option) {
+  assertArity("ini_restore", arguments, 1, 1);
+  assertString("ini_restore", 1, option);
+  _values.delete(option);
+}
+
+/**
+ * ini_get_all — Gets all configuration options, optionally for one extension.
+ * @see https://www.php.net/manual/en/function.ini-get-all.php
+ * @param {string|null} [extension] directive prefix, e.g. "session"
+ * @param {boolean} [details=true]
+ * @returns {Record<string, string|{global_value:string, local_value:string, access:number}>|false}
+ */
+export function ini_get_all(extension = null, details = true) {
+  assertArity("ini_get_all", arguments, 0, 2);
+  if (extension !== null) assertString("ini_get_all", 1, extension);
+
+  const names = Object.keys(_directives)
+    .filter((k) => extension === null || k.startsWith(`${extension}.`))
+    .sort();
+  if (extension !== null && names.length === 0) return false;
+
+  const out = {};
+  for (const k of names) {
+    const local = /** @type {string} */ (ini_get(k));
+    // INI_ALL = 7: every directive here is settable at runtime.
+    out[k] = details ? { global_value: _directives[k].value, local_value: local, access: 7 } : local;
+  }
+  return out;
+}
@@ -9,7 +9,10 @@
 
 import dns from "node:dns/promises";
 import os from "node:os";
-import { assertArity, assertNumber, assertString, typeError } from "../internal/assert.js";
+import { argError, assertArity, assertNumber, assertString, typeError } from "../internal/assert.js";
+import { bigIntToBytes, bytesToBigInt, inCidr, parseCidr, parseIp } from "../internal/ip.js";
+import { phpParseUrl } from "../internal/url.js";
+import { CookieJar } from "./cookie.js";
 
 /**
  * gethostname — Gets the host name.
@@ -94,58 +97,81 @@ export function long2ip(properAddress) {
 
 
 
+export const PHP_URL_SCHEME = 0;
+export const PHP_URL_HOST = 1;
+export const PHP_URL_PORT = 2;
+export const PHP_URL_USER = 3;
+export const PHP_URL_PASS = 4;
+export const PHP_URL_PATH = 5;
+export const PHP_URL_QUERY = 6;
+export const PHP_URL_FRAGMENT = 7;
+
+/** parse_url() keys, indexed by PHP_URL_* constant. */
+const _URL_COMPONENTS = ["scheme", "host", "port", "user", "pass", "path", "query", "fragment"];
+
 /**
  * parse_url — Parse a URL and return its components.
+ * Like PHP, nothing is normalized or decoded: scheme-relative ("//host/p"), relative ("/p?x=1") and
+ * "host:8080" inputs are accepted, only the components present are returned, and control characters
+ * become "_".
  * @see https://www.php.net/manual/en/function.parse-url.php
  * @param {string} url
- * @param {number} [component]
- * @returns {Record<string, any>|string|number|null|false}
+ * @param {number} [component=-1] a PHP_URL_* constant, or -1 for all components
+ * @returns {Record<string, any>|string|number|null|false} false for seriously malformed URLs;
+ *   null when the requested component is missing
  */
-export function parse_url(url, component) {
+export function parse_url(url, component = -1) {
   assertArity("parse_url", arguments, 1, 2);
   assertString("parse_url", 1, url);
-  if (component !== undefined) assertNumber("parse_url", 2, component);
+  assertNumber("parse_url", 2, component);
+  if (component !== -1 && !(component in _URL_COMPONENTS)) {
+    argError("parse_url", `Argument #2 ($component) must be a valid URL component identifier, ${component} given`);
+  }
+  const parts = phpParseUrl(url);
+  if (!parts) return false;
+  if (component === -1) return parts;
+  return parts[_URL_COMPONENTS[component]] ?? null;
+}
 
-  try {
-    const u = new URL(url, "http://example.local");
-    const parts = {
-      scheme: u.protocol ? u.protocol.replace(":", "") : null,
-      host: u.hostname || null,
-      port: u.port ? Number(u.port) : null,
-      user: u.username || null,
-      pass: u.password || null,
-      path: u.pathname || null,
-      query: u.search ? u.search.slice(1) : null,
-      fragment: u.hash ? u.hash.slice(1) : null,
-    };
-
-    if (component === undefined) return parts;
-
-    // PHP components
-    const PHP_URL_SCHEME = 0;
-    const PHP_URL_HOST = 1;
-    const PHP_URL_PORT = 2;
-    const PHP_URL_USER = 3;
-    const PHP_URL_PASS = 4;
-    const PHP_URL_PATH = 5;
-    const PHP_URL_QUERY = 6;
-    const PHP_URL_FRAGMENT = 7;
-
-    switch (component) {
-      case PHP_URL_SCHEME: return parts.scheme;
-      case PHP_URL_HOST: return parts.host;
-      case PHP_URL_PORT: return parts.port;
-      case PHP_URL_USER: return parts.user;
-      case PHP_URL_PASS: return parts.pass;
-      case PHP_URL_PATH: return parts.path;
-      case PHP_URL_QUERY: return parts.query;
-      case PHP_URL_FRAGMENT: return parts.fragment;
-      default:
-        throw new Error("Unsupported component");
+/**
+ * NOT PHP (pecl_http 1.x)
+ * http_build_url — Build a URL from parse_url() components; the inverse of parse_url().
+ * Components of `parts` replace those of `url` (pecl_http's HTTP_URL_REPLACE), and a null one removes
+ * the component. A path is given a leading "/" when there is a host.
+ * @see https://www.php.net/manual/en/function.http-build-url.php
+ * @param {string|Record<string, any>} url a URL string or parse_url() components
+ * @param {Record<string, any>} [parts={}]
+ * @returns {string|false} false when `url` is a malformed URL string
+ */
+export function http_build_url(url, parts = {}) {
+  assertArity("http_build_url", arguments, 1, 2);
+  if (typeof url !== "string" && (url === null || typeof url !== "object")) typeError("http_build_url", 1, "array|string", url);
+  if (parts === null || typeof parts !== "object") typeError("http_build_url", 2, "array", parts);
+  const base = typeof url === "string" ? phpParseUrl(url) : url;
+  if (!base) return false;
+  /** @type {Record<string, any>} */
+  const u = {};
+  for (const k of _URL_COMPONENTS) {
+    const v = Object.hasOwn(parts, k) ? parts[k] : base[k];
+    if (v !== null && v !== undefined) u[k] = String(v);
+  }
+  let out = u.scheme !== undefined ? `${u.scheme}:` : "";
+  if (u.host !== undefined) {
+    out += "//";
+    if (u.user !== undefined || u.pass !== undefined) {
+      out += `${u.user ?? ""}${u.pass !== undefined ? `:${u.pass}` : ""}@`;
     }
-  } catch {
-    return false;
+    out += u.host;
+    if (u.port !== undefined) out += `:${u.port}`;
+    if (u.path !== undefined && !u.path.startsWith("/")) out += "/";
+  } else if (u.scheme?.toLowerCase() === "file" && u.path?.startsWith("/")) {
+    // parse_url("file:///etc/hosts") has no host
+    out += "//";
   }
+  if (u.path !== undefined) out += u.path;
+  if (u.query !== undefined) out += `?${u.query}`;
+  if (u.fragment !== undefined) out += `#${u.fragment}`;
+  return out;
 }
 
 /**
@@ -198,60 +224,27 @@ export function http_build_query(data, numericPrefix = "", argSeparator = "&", e
   return parts.join(argSeparator);
 }
 
-/**
- * filter_var — Filters a variable with a specified filter.
- * Subset: FILTER_VALIDATE_IP, FILTER_VALIDATE_EMAIL, FILTER_VALIDATE_URL
- * @see https://www.php.net/manual/en/function.filter-var.php
- * @param {any} variable
- * @param {number} filter
- * @param {any} [options]
- * @returns {any|false}
- */
-export function filter_var(variable, filter, options = undefined) {
-  assertArity("filter_var", arguments, 2, 3);
-  assertNumber("filter_var", 2, filter);
-
-  const val = String(variable);
-
-  const FILTER_VALIDATE_IP = 275;
-  const FILTER_VALIDATE_EMAIL = 274;
-  const FILTER_VALIDATE_URL = 273;
-
-  if (filter === FILTER_VALIDATE_IP) {
-    // IPv4 only in this subset
-    return ip2long(val) !== false ? val : false;
-  }
-  if (filter === FILTER_VALIDATE_EMAIL) {
-    // pragmatic email regex
-    const ok = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(val);
-    return ok ? val : false;
-  }
-  if (filter === FILTER_VALIDATE_URL) {
-    try {
-      new URL(val);
-      return val;
-    } catch {
-      return false;
-    }
-  }
-
-  throw new Error("filter_var(): unsupported filter in this build");
-}
+// filter_var() moved to filter.js with the rest of the filter extension; kept here for existing imports.
+export { filter_var } from "./filter.js";
 
 /**
  * get_headers — Fetch all the headers sent by the server in response to an HTTP request.
  * @see https://www.php.net/manual/en/function.get-headers.php
  * @param {string} url
  * @param {number} [format]
+ * @param {{cookie_jar?: CookieJar}|null} [context] cookie_jar: send its cookies and store the ones received
  * @returns {Promise<any[]|Record<string, any>|false>}
  */
-export async function get_headers(url, format = 0) {
-  assertArity("get_headers", arguments, 1, 2);
+export async function get_headers(url, format = 0, context = null) {
+  assertArity("get_headers", arguments, 1, 3);
   assertString("get_headers", 1, url);
   assertNumber("get_headers", 2, format);
+  const jar = context?.cookie_jar ?? null;
+  if (jar !== null && !(jar instanceof CookieJar)) typeError("get_headers", 3, "CookieJar", jar);
 
   try {
-    const res = await fetch(url, { method: "HEAD", redirect: "follow" });
+    const init = { method: "HEAD", redirect: "follow" };
+    const res = await (jar ? jar.fetch(url, init) : fetch(url, init));
     if (format === 1) {
       const obj = {};
       for (const [k, v] of res.headers.entries()) obj[k] = v;
@@ -269,7 +262,7 @@ export async function get_headers(url, format = 0) {
 
 /**
  * inet_pton — Converts a human readable IP address to its packed in_addr representation.
- * Supports IPv4 and IPv6.
+ * Supports IPv4 and IPv6, in the forms the C library accepts (no leading zeros in IPv4 parts, no zone id).
  * @see https://www.php.net/manual/en/function.inet-pton.php
  * @param {string} address
  * @returns {Uint8Array|false}
@@ -277,51 +270,7 @@ export async function get_headers(url, format = 0) {
 export function inet_pton(address) {
   assertArity("inet_pton", arguments, 1, 1);
   assertString("inet_pton", 1, address);
-
-  // IPv4
-  const v4 = address.split(".");
-  if (v4.length === 4 && v4.every((p) => p !== "")) {
-    const nums = v4.map((p) => Number(p));
-    if (nums.some((n) => !Number.isInteger(n) || n < 0 || n > 255)) return false;
-    return Uint8Array.from(nums);
-  }
-
-  // IPv6 (basic parsing)
-  try {
-    // Use WHATWG URL trick to validate (not perfect) and manual parse for bytes
-    const normalized = address.toLowerCase();
-    const parts = normalized.split("::");
-    if (parts.length > 2) return false;
-
-    const left = parts[0] ? parts[0].split(":").filter(Boolean) : [];
-    const right = parts[1] ? parts[1].split(":").filter(Boolean) : [];
-
-    // handle IPv4-embedded tail
-    if (right.length && right[right.length - 1].includes(".")) {
-      const tail = right.pop();
-      const packed = inet_pton(tail);
-      if (packed === false || packed.length !== 4) return false;
-      right.push(((packed[0] << 8) | packed[1]).toString(16));
-      right.push(((packed[2] << 8) | packed[3]).toString(16));
-    }
-
-    const missing = 8 - (left.length + right.length);
-    if (missing < 0) return false;
-
-    const full = [...left, ...Array(missing).fill("0"), ...right].map((h) => {
-      if (!/^[0-9a-f]{1,4}$/.test(h)) throw new Error("bad");
-      return parseInt(h, 16);
-    });
-
-    const out = new Uint8Array(16);
-    full.forEach((v, i) => {
-      out[i * 2] = (v >> 8) & 0xff;
-      out[i * 2 + 1] = v & 0xff;
-    });
-    return out;
-  } catch {
-    return false;
-  }
+  return parseIp(address) ?? false;
 }
 
 /**
@@ -356,16 +305,104 @@ export function inet_ntop(inAddr) {
   }
   if (bestLen < 2) { bestStart = -1; bestLen = 0; }
 
-  const parts = [];
-  for (let i = 0; i < 8; i++) {
-    if (i === bestStart) {
-      parts.push("");
-      i += bestLen - 1;
-      if (i === 7) parts.push("");
-      continue;
-    }
-    parts.push(words[i].toString(16));
+  const hex = (ws) => ws.map((w) => w.toString(16)).join(":");
+  // IPv4-compatible (::a.b.c.d) and IPv4-mapped (::ffff:a.b.c.d) addresses end in dotted form, like the C library
+  if (bestStart === 0 && (bestLen === 6 || (bestLen === 5 && words[5] === 0xffff))) {
+    return `::${bestLen === 5 ? "ffff:" : ""}${bytes[12]}.${bytes[13]}.${bytes[14]}.${bytes[15]}`;
   }
-  return parts.join(":").replace(/:{3,}/, "::");
+  if (bestStart === -1) return hex(words);
+  return `${hex(words.slice(0, bestStart))}::${hex(words.slice(bestStart + bestLen))}`;
 }
 
+/**
+ * @typedef {object} SubnetInfo
+ * @property {4|6} family
+ * @property {string} network network address (host bits cleared)
+ * @property {number} prefix
+ * @property {string} netmask
+ * @property {string} first lowest address of the range (the network address)
+ * @property {string} last highest address of the range (the IPv4 broadcast address)
+ */
+
+/**
+ * @param {string} fn
+ * @param {number} idx
+ * @param {any} subnet
+ * @returns {import("../internal/ip.js").Cidr}
+ */
+function _cidr(fn, idx, subnet) {
+  assertString(fn, idx, subnet);
+  const cidr = parseCidr(subnet);
+  if (!cidr) argError(fn, `expects parameter ${idx} to be a valid CIDR subnet, "${subnet}" given`);
+  return cidr;
+}
+
+/**
+ * @param {import("../internal/ip.js").Cidr} cidr
+ * @returns {bigint} the highest address of the network
+ */
+function _lastAddress(cidr) {
+  const hostBits = BigInt(cidr.bytes.length * 8 - cidr.prefix);
+  return bytesToBigInt(cidr.bytes) | ((1n << hostBits) - 1n);
+}
+
+/**
+ * NOT PHP
+ * subnet_parse — Split a CIDR subnet ("192.168.0.0/16", "2001:db8::/32") into its parts.
+ * A bare address is a single-host subnet; host bits after the prefix are cleared.
+ * @param {string} subnet
+ * @returns {SubnetInfo|false} false when malformed
+ */
+export function subnet_parse(subnet) {
+  assertArity("subnet_parse", arguments, 1, 1);
+  assertString("subnet_parse", 1, subnet);
+  const cidr = parseCidr(subnet);
+  if (!cidr) return false;
+  const len = cidr.bytes.length;
+  const mask = bigIntToBytes(((1n << BigInt(cidr.prefix)) - 1n) << BigInt(len * 8 - cidr.prefix), len);
+  return {
+    family: len === 4 ? 4 : 6,
+    network: /** @type {string} */ (inet_ntop(cidr.bytes)),
+    prefix: cidr.prefix,
+    netmask: /** @type {string} */ (inet_ntop(mask)),
+    first: /** @type {string} */ (inet_ntop(cidr.bytes)),
+    last: /** @type {string} */ (inet_ntop(bigIntToBytes(_lastAddress(cidr), len))),
+  };
+}
+
+/**
+ * NOT PHP
+ * ip_in_subnet — Whether an address lies in a CIDR subnet, or in any of a list of them (allowlists,
+ * SSRF checks). IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match IPv4 subnets.
+ * @param {string} ip
+ * @param {string|string[]} subnets
+ * @returns {boolean} false for a malformed `ip`
+ */
+export function ip_in_subnet(ip, subnets) {
+  assertArity("ip_in_subnet", arguments, 2, 2);
+  assertString("ip_in_subnet", 1, ip);
+  const list = Array.isArray(subnets) ? subnets : [subnets];
+  // a malformed entry throws rather than silently never matching
+  const cidrs = list.map((s) => _cidr("ip_in_subnet", 2, s));
+  const bytes = parseIp(ip);
+  return bytes !== null && cidrs.some((c) => inCidr(bytes, c));
+}
+
+/**
+ * NOT PHP
+ * subnet_range — Iterate over every address of a CIDR subnet, lowest first. The iterator is lazy,
+ * so large (IPv6) subnets are fine as long as the loop stops early.
+ * @param {string} subnet
+ * @returns {Generator<string, void, void>}
+ */
+export function subnet_range(subnet) {
+  assertArity("subnet_range", arguments, 1, 1);
+  const cidr = _cidr("subnet_range", 1, subnet);
+  const len = cidr.bytes.length;
+  const last = _lastAddress(cidr);
+  return (function* () {
+    for (let n = bytesToBigInt(cidr.bytes); n <= last; n++) {
+      yield /** @type {string} */ (inet_ntop(bigIntToBytes(n, len)));
+    }
+  })();
+}
@@ -0,0 +1,255 @@
+/**
+ * PHP-like output: echo, print and output buffering (ob_*).
+ *
+ * In PHP, output goes to the SAPI. In Node, it goes to the response bound to the current request
+ * (by session_start(), the middleware adapters, response_run() or response_bind()), or to stdout
+ * outside a request.
+ * printf(), vprintf(), print_r() and var_dump() write through the same layer, so ob_start() captures
+ * them too. Each response has its own buffer stack; buffers left open are flushed when the response
+ * ends, like PHP at the end of a script.
+ *
+ * @module php/output
+ */
+
+import { assertArity, assertNumber, typeError } from "../internal/assert.js";
+import {
+  HANDLER,
+  cleanBuffer,
+  endBuffer,
+  flushBuffer,
+  outputStack,
+  pushBuffer,
+  writeOutput,
+} from "../internal/output.js";
+import { currentResponse, headersSent } from "../internal/response.js";
+import { strval } from "./variables.js";
+
+export const PHP_OUTPUT_HANDLER_START = HANDLER.START;
+export const PHP_OUTPUT_HANDLER_WRITE = HANDLER.WRITE;
+export const PHP_OUTPUT_HANDLER_FLUSH = HANDLER.FLUSH;
+export const PHP_OUTPUT_HANDLER_CLEAN = HANDLER.CLEAN;
+export const PHP_OUTPUT_HANDLER_FINAL = HANDLER.FINAL;
+export const PHP_OUTPUT_HANDLER_CONT = HANDLER.WRITE;
+export const PHP_OUTPUT_HANDLER_END = HANDLER.FINAL;
+export const PHP_OUTPUT_HANDLER_CLEANABLE = HANDLER.CLEANABLE;
+export const PHP_OUTPUT_HANDLER_FLUSHABLE = HANDLER.FLUSHABLE;
+export const PHP_OUTPUT_HANDLER_REMOVABLE = HANDLER.REMOVABLE;
+export const PHP_OUTPUT_HANDLER_STDFLAGS = HANDLER.STDFLAGS;
+export const PHP_OUTPUT_HANDLER_STARTED = HANDLER.STARTED;
+
+/**
+ * The innermost buffer when it allows `flag`, else null (PHP raises a notice and returns false).
+ * @param {number} flag
+ */
+function _top(flag) {
+  const st = outputStack();
+  const buf = st.buffers[st.buffers.length - 1];
+  if (!buf || st.busy || (buf.flags & flag) !== flag) return null;
+  return st;
+}
+
+/**
+ * echo — Output one or more strings.
+ * @see https://www.php.net/manual/en/function.echo.php
+ * @param  {...any} values converted like strval()
+ * @returns {void}
+ */
+export function echo(...values) {
+  assertArity("echo", arguments, 1, Infinity);
+  for (const v of values) writeOutput(strval(v));
+}
+
+/**
+ * print — Output a string.
+ * @see https://www.php.net/manual/en/function.print.php
+ * @param {any} value converted like strval()
+ * @returns {1}
+ */
+export function print(value) {
+  assertArity("print", arguments, 1, 1);
+  writeOutput(strval(value));
+  return 1;
+}
+
+/**
+ * flush — Send the response headers and what has been written so far to the client.
+ * Output buffers are not affected (use ob_flush() for those).
+ * @see https://www.php.net/manual/en/function.flush.php
+ * @returns {void}
+ */
+export function flush() {
+  assertArity("flush", arguments, 0, 0);
+  const res = currentResponse();
+  if (res && !headersSent(res)) res.flushHeaders?.();
+}
+
+/**
+ * ob_start — Turn on output buffering.
+ * The callback receives the buffer contents and a PHP_OUTPUT_HANDLER_* phase bitmask and returns
+ * the string to pass on (false passes the contents unchanged).
+ * @see https://www.php.net/manual/en/function.ob-start.php
+ * @param {((buffer:string, phase:number) => any)|null} [callback=null]
+ * @param {number} [chunk_size=0] flush whenever the buffer reaches this many bytes (0: only on demand)
+ * @param {number} [flags=PHP_OUTPUT_HANDLER_STDFLAGS] which of clean/flush/remove are allowed
+ * @returns {boolean} false when called from inside an output handler
+ */
+export function ob_start(callback = null, chunk_size = 0, flags = HANDLER.STDFLAGS) {
+  assertArity("ob_start", arguments, 0, 3);
+  if (callback !== null && typeof callback !== "function") typeError("ob_start", 1, "?callable", callback);
+  assertNumber("ob_start", 2, chunk_size);
+  assertNumber("ob_start", 3, flags);
+  const st = outputStack();
+  if (st.busy) return false;
+  pushBuffer(st, {
+    callback,
+    name: callback ? callback.name || "Closure::__invoke" : "default output handler",
+    chunkSize: chunk_size > 1 ? Math.trunc(chunk_size) : 0,
+    flags: flags & HANDLER.STDFLAGS,
+    data: "",
+    started: false,
+  });
+  return true;
+}
+
+/**
+ * ob_flush — Pass the contents of the innermost buffer on, keeping the buffer open.
+ * @see https://www.php.net/manual/en/function.ob-flush.php
+ * @returns {boolean} false without a (flushable) buffer
+ */
+export function ob_flush() {
+  assertArity("ob_flush", arguments, 0, 0);
+  const st = _top(HANDLER.FLUSHABLE);
+  if (!st) return false;
+  flushBuffer(st);
+  return true;
+}
+
+/**
+ * ob_clean — Discard the contents of the innermost buffer, keeping the buffer open.
+ * @see https://www.php.net/manual/en/function.ob-clean.php
+ * @returns {boolean} false without a (cleanable) buffer
+ */
+export function ob_clean() {
+  assertArity("ob_clean", arguments, 0, 0);
+  const st = _top(HANDLER.CLEANABLE);
+  if (!st) return false;
+  cleanBuffer(st);
+  return true;
+}
+
+/**
+ * ob_end_flush — Pass the contents of the innermost buffer on and close it.
+ * @see https://www.php.net/manual/en/function.ob-end-flush.php
+ * @returns {boolean} false without a (removable) buffer
+ */
+export function ob_end_flush() {
+  assertArity("ob_end_flush", arguments, 0, 0);
+  const st = _top(HANDLER.REMOVABLE);
+  if (!st) return false;
+  endBuffer(st, true);
+  return true;
+}
+
+/**
+ * ob_end_clean — Discard the contents of the innermost buffer and close it.
+ * @see https://www.php.net/manual/en/function.ob-end-clean.php
+ * @returns {boolean} false without a (cleanable and removable) buffer
+ */
+export function ob_end_clean() {
+  assertArity("ob_end_clean", arguments, 0, 0);
+  const st = _top(HANDLER.CLEANABLE | HANDLER.REMOVABLE);
+  if (!st) return false;
+  endBuffer(st, false);
+  return true;
+}
+
+/**
+ * ob_get_clean — Get the contents of the innermost buffer, then discard them and close it.
+ * @see https://www.php.net/manual/en/function.ob-get-clean.php
+ * @returns {string|false}
+ */
+export function ob_get_clean() {
+  assertArity("ob_get_clean", arguments, 0, 0);
+  const st = _top(HANDLER.CLEANABLE | HANDLER.REMOVABLE);
+  if (!st) return false;
+  const contents = st.buffers[st.buffers.length - 1].data;
+  endBuffer(st, false);
+  return contents;
+}
+
+/**
+ * ob_get_flush — Get the contents of the innermost buffer, then pass them on and close it.
+ * @see https://www.php.net/manual/en/function.ob-get-flush.php
+ * @returns {string|false}
+ */
+export function ob_get_flush() {
+  assertArity("ob_get_flush", arguments, 0, 0);
+  const st = _top(HANDLER.REMOVABLE);
+  if (!st) return false;
+  const contents = st.buffers[st.buffers.length - 1].data;
+  endBuffer(st, true);
+  return contents;
+}
+
+/**
+ * ob_get_contents — Contents of the innermost buffer.
+ * @see https://www.php.net/manual/en/function.ob-get-contents.php
+ * @returns {string|false} false when buffering is off
+ */
+export function ob_get_contents() {
+  assertArity("ob_get_contents", arguments, 0, 0);
+  const st = outputStack();
+  return st.buffers.length ? st.buffers[st.buffers.length - 1].data : false;
+}
+
+/**
+ * ob_get_length — Length in bytes of the innermost buffer's contents.
+ * @see https://www.php.net/manual/en/function.ob-get-length.php
+ * @returns {number|false} false when buffering is off
+ */
+export function ob_get_length() {
+  assertArity("ob_get_length", arguments, 0, 0);
+  const contents = ob_get_contents();
+  return contents === false ? false : Buffer.byteLength(contents, "utf8");
+}
+
+/**
+ * ob_get_level — Nesting level of output buffering (0 when off).
+ * @see https://www.php.net/manual/en/function.ob-get-level.php
+ * @returns {number}
+ */
+export function ob_get_level() {
+  assertArity("ob_get_level", arguments, 0, 0);
+  return outputStack().buffers.length;
+}
+
+/**
+ * ob_list_handlers — Names of the active output handlers, outermost first.
+ * @see https://www.php.net/manual/en/function.ob-list-handlers.php
+ * @returns {string[]}
+ */
+export function ob_list_handlers() {
+  assertArity("ob_list_handlers", arguments, 0, 0);
+  return outputStack().buffers.map((b) => b.name);
+}
+
+/**
+ * ob_get_status — Status of the innermost buffer, or of all of them with `full_status`.
+ * @see https://www.php.net/manual/en/function.ob-get-status.php
+ * @param {boolean} [full_status=false]
+ * @returns {Record<string, any>|Record<string, any>[]} [] when buffering is off
+ */
+export function ob_get_status(full_status = false) {
+  assertArity("ob_get_status", arguments, 0, 1);
+  const status = outputStack().buffers.map((b, level) => ({
+    name: b.name,
+    type: b.callback ? 1 : 0,
+    flags: b.flags | (b.started ? HANDLER.STARTED : 0),
+    level,
+    chunk_size: b.chunkSize,
+    buffer_size: b.chunkSize > 1 ? b.chunkSize : 16384,
+    buffer_used: Buffer.byteLength(b.data, "utf8"),
+  }));
+  if (full_status) return status;
+  return status.length ? status[status.length - 1] : [];
+}
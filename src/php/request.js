@@ -0,0 +1,394 @@
+/**
+ * Request superglobals ($_GET, $_POST, $_FILES, $_REQUEST, $_SERVER) built from a Node request.
+ *
+ * In PHP, the runtime fills these before the script runs. In Node, you pass the
+ * http.IncomingMessage-like `req`; results are cached per request, like PHP's superglobals.
+ *
+ * - Names follow PHP's registration rules: `a[]=1&b[x]=2` nests, "." and " " in names become "_".
+ * - $_POST/$_FILES (and therefore $_REQUEST) read the request body, so they are async.
+ *   multipart/form-data bodies are streamed: uploaded files go to temporary files that are
+ *   removed when the response (or, when it is unknown, the connection) closes unless moved with
+ *   move_uploaded_file().
+ * - Settings: request_order, post_max_size, max_input_vars, max_input_nesting_level, file_uploads,
+ *   upload_max_filesize, max_file_uploads and upload_tmp_dir (see ini_set()).
+ *
+ * @module php/request
+ */
+
+import fsp from "node:fs/promises";
+import os from "node:os";
+import { assertArity, typeError } from "../internal/assert.js";
+import { UPLOAD_ERR, multipartBoundary, parseMultipart } from "../internal/multipart.js";
+import { parseFormEncoded, parseVariableName, registerVariable, toPhpArrays } from "../internal/registerVariable.js";
+import { currentRequest, currentResponse } from "../internal/response.js";
+import { isTrackedUpload, untrackUpload } from "../internal/uploads.js";
+import { $_COOKIE } from "./cookie.js";
+import { ini_get } from "./info.js";
+
+export const UPLOAD_ERR_OK = UPLOAD_ERR.OK;
+export const UPLOAD_ERR_INI_SIZE = UPLOAD_ERR.INI_SIZE;
+export const UPLOAD_ERR_FORM_SIZE = UPLOAD_ERR.FORM_SIZE;
+export const UPLOAD_ERR_PARTIAL = UPLOAD_ERR.PARTIAL;
+export const UPLOAD_ERR_NO_FILE = UPLOAD_ERR.NO_FILE;
+export const UPLOAD_ERR_NO_TMP_DIR = UPLOAD_ERR.NO_TMP_DIR;
+export const UPLOAD_ERR_CANT_WRITE = UPLOAD_ERR.CANT_WRITE;
+export const UPLOAD_ERR_EXTENSION = UPLOAD_ERR.EXTENSION;
+
+/** Per-request caches, keyed by req. */
+const _gets = new WeakMap(); // req -> {url:string, vars:Record<string, any>}
+const _bodies = new WeakMap(); // req -> Promise<{post:Record<string, any>, files:Record<string, any>}>
+const _servers = new WeakMap(); // req -> Record<string, any>
+
+/**
+ * @param {string} fn
+ * @param {any} req
+ */
+function _assertReq(fn, req) {
+  if (!req || typeof req !== "object") typeError(fn, 1, "object", req);
+}
+
+/**
+ * Bytes of a php.ini size value ("8M", "512K", "1G", "1024").
+ * @param {string} v
+ * @returns {number}
+ */
+function _iniBytes(v) {
+  const m = /^(\d+)([KMG]?)$/i.exec(String(v).trim());
+  if (!m) return 0;
+  const unit = { "": 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 }[m[2].toUpperCase()];
+  return Number(m[1]) * unit;
+}
+
+/**
+ * max_input_vars and max_input_nesting_level.
+ * @returns {{maxVars:number, maxNesting:number}}
+ */
+function _inputLimits() {
+  return { maxVars: Number(ini_get("max_input_vars")), maxNesting: Number(ini_get("max_input_nesting_level")) };
+}
+
+/**
+ * Lowercased media type of the request, without parameters.
+ * @param {any} req
+ * @returns {string}
+ */
+function _mediaType(req) {
+  return String(req.headers?.["content-type"] ?? "").split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Read the request body, giving up (and discarding the rest) past `limit` bytes.
+ * @param {any} req
+ * @param {number} limit
+ * @returns {Promise<Buffer|null>} null when the body is larger than `limit`
+ */
+function _readBody(req, limit) {
+  if (typeof req.on !== "function" || req.readableEnded) return Promise.resolve(Buffer.alloc(0));
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on("data", (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > limit) {
+        tooLarge = true;
+        chunks.length = 0;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(tooLarge ? null : Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Decode a form or JSON body into $_POST's shape; anything else gives an empty object.
+ * @param {string} type media type
+ * @param {string} text
+ * @returns {Record<string, any>}
+ */
+function _parseBody(type, text) {
+  if (type === "application/x-www-form-urlencoded") return parseFormEncoded(text, _inputLimits());
+  if (type === "application/json" || type.endsWith("+json")) {
+    try {
+      const v = JSON.parse(text);
+      return v !== null && typeof v === "object" ? v : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
+
+/**
+ * Register parsed uploads in PHP's $_FILES layout: `doc` gives {doc: {name, type, ...}},
+ * `files[]` gives {files: {name: [...], type: [...], ...}}.
+ * @param {import("../internal/multipart.js").UploadedFile[]} uploads
+ * @returns {Record<string, any>}
+ */
+function _filesArray(uploads) {
+  const { maxNesting } = _inputLimits();
+  const track = {};
+  for (const f of uploads) {
+    const parsed = parseVariableName(f.field, maxNesting);
+    if (!parsed) continue;
+    const idx = parsed.indexes.map((i) => `[${i ?? ""}]`).join("");
+    const props = { name: f.name, full_path: f.fullPath, type: f.type, tmp_name: f.tmpName, error: f.error, size: f.size };
+    // the property index is one level more than the field's own
+    for (const [prop, value] of Object.entries(props)) registerVariable(track, `${parsed.base}[${prop}]${idx}`, value, false, maxNesting + 1);
+  }
+  return toPhpArrays(track, true);
+}
+
+/** socket -> tmp files awaiting its "close", for requests whose response is unknown */
+const _socketUploads = new WeakMap();
+
+/** @param {string[]} files */
+function _removeUploads(files) {
+  for (const file of files) {
+    if (!isTrackedUpload(file)) continue;
+    untrackUpload(file);
+    fsp.rm(file, { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Remove the request's temporary upload files that were not moved, once the request is over:
+ * when its response closes (`req.res` from Express, or the response bound to this request by
+ * session_start(), the middleware adapters or response_bind()), else when its connection closes.
+ * The request's own "close" event is no use here, it fires as soon as the body has been read.
+ * Files still left when the process exits are removed then (see internal/uploads).
+ * @param {any} req
+ * @param {import("../internal/multipart.js").UploadedFile[]} uploads
+ */
+function _cleanupOnClose(req, uploads) {
+  const tmp = uploads.map((f) => f.tmpName).filter(Boolean);
+  if (tmp.length === 0) return;
+  const res = req.res ?? (currentRequest() === req ? currentResponse() : null);
+  if (typeof res?.once === "function") {
+    res.once("close", () => _removeUploads(tmp));
+    return;
+  }
+  const socket = req.socket;
+  if (typeof socket?.once !== "function") return;
+  // one listener per connection, however many requests a keep-alive connection carries
+  let pending = _socketUploads.get(socket);
+  if (!pending) {
+    pending = new Set();
+    _socketUploads.set(socket, pending);
+    socket.once("close", () => {
+      _socketUploads.delete(socket);
+      _removeUploads([...pending]);
+    });
+  }
+  for (const file of tmp) pending.add(file);
+}
+
+/**
+ * Parse the request body once into $_POST and $_FILES.
+ * @param {any} req
+ * @returns {Promise<{post:Record<string, any>, files:Record<string, any>}>}
+ */
+async function _body(req) {
+  if (String(req.method ?? "").toUpperCase() !== "POST") return { post: {}, files: {} };
+  const type = _mediaType(req);
+  const maxBody = _iniBytes(/** @type {string} */ (ini_get("post_max_size")));
+
+  if (type === "multipart/form-data") {
+    // Like PHP, refuse a declared oversized body up front (the stream is still drained by the parser).
+    const declared = Number(req.headers?.["content-length"] ?? NaN);
+    const { fields, files } = await parseMultipart(req, multipartBoundary(String(req.headers["content-type"])), {
+      maxBody: declared > maxBody ? -1 : maxBody,
+      maxFile: _iniBytes(/** @type {string} */ (ini_get("upload_max_filesize"))),
+      maxFiles: Number(ini_get("max_file_uploads")),
+      fileUploads: ["1", "on", "true", "yes"].includes(String(ini_get("file_uploads")).toLowerCase()),
+      tmpDir: /** @type {string} */ (ini_get("upload_tmp_dir")) || os.tmpdir(),
+    });
+    const { maxVars, maxNesting } = _inputLimits();
+    const post = {};
+    for (const [name, value] of fields.slice(0, maxVars)) registerVariable(post, name, value, false, maxNesting);
+    _cleanupOnClose(req, files);
+    return { post: toPhpArrays(post, true), files: _filesArray(files) };
+  }
+
+  // A body-parsing middleware (express.json(), ...) may already have consumed the stream.
+  if (req.body !== undefined && req.body !== null) {
+    if (Buffer.isBuffer(req.body) || typeof req.body === "string") return { post: _parseBody(type, String(req.body)), files: {} };
+    if (typeof req.body === "object") return { post: req.body, files: {} };
+  }
+  const body = await _readBody(req, maxBody);
+  // PHP leaves $_POST empty when the body exceeds post_max_size.
+  if (body === null) return { post: {}, files: {} };
+  return { post: _parseBody(type, body.toString("utf8")), files: {} };
+}
+
+/**
+ * @param {any} req
+ * @returns {Promise<{post:Record<string, any>, files:Record<string, any>}>}
+ */
+function _parsedBody(req) {
+  let p = _bodies.get(req);
+  if (!p) {
+    p = _body(req);
+    _bodies.set(req, p);
+  }
+  return p;
+}
+
+/**
+ * PHP's recursive superglobal merge for $_REQUEST: nested arrays merge, other values are replaced.
+ * @param {Record<string, any>} target
+ * @param {Record<string, any>} source
+ * @returns {Record<string, any>}
+ */
+function _merge(target, source) {
+  for (const [k, v] of Object.entries(source)) {
+    const cur = target[k];
+    const both = cur && v && typeof cur === "object" && typeof v === "object";
+    Object.defineProperty(target, k, {
+      value: both ? _merge(Array.isArray(cur) && Array.isArray(v) ? [...cur] : { ...cur }, v) : v,
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  }
+  return target;
+}
+
+/**
+ * $_GET — Query string variables of a request.
+ * @see https://www.php.net/manual/en/reserved.variables.get.php
+ * @param {any} req Node http.IncomingMessage-like object
+ * @returns {Record<string, any>}
+ */
+export function $_GET(req) {
+  assertArity("$_GET", arguments, 1, 1);
+  _assertReq("$_GET", req);
+  const url = String(req.url ?? "");
+  const cached = _gets.get(req);
+  if (cached && cached.url === url) return cached.vars;
+  const q = url.indexOf("?");
+  const query = q === -1 ? "" : url.slice(q + 1).split("#")[0];
+  const vars = parseFormEncoded(query, _inputLimits());
+  _gets.set(req, { url, vars });
+  return vars;
+}
+
+/**
+ * $_POST — Variables of a POST request body.
+ * Parses application/x-www-form-urlencoded and multipart/form-data bodies like PHP and, beyond PHP, JSON bodies.
+ * Like PHP, only POST requests are parsed and bodies larger than post_max_size give an empty object.
+ * Uses `req.body` when a body-parsing middleware already consumed the stream.
+ * @see https://www.php.net/manual/en/reserved.variables.post.php
+ * @param {any} req Node http.IncomingMessage-like object
+ * @returns {Promise<Record<string, any>>}
+ */
+export async function $_POST(req) {
+  assertArity("$_POST", arguments, 1, 1);
+  _assertReq("$_POST", req);
+  return (await _parsedBody(req)).post;
+}
+
+/**
+ * $_FILES — Files uploaded with a multipart/form-data POST request, in PHP's layout:
+ * `{ field: { name, full_path, type, tmp_name, error, size } }`, with each property becoming an
+ * array for `field[]` names. `error` is one of the UPLOAD_ERR_* constants.
+ * Temporary files are removed when the response (or, when it is unknown, the connection) closes;
+ * keep them with move_uploaded_file().
+ * @see https://www.php.net/manual/en/reserved.variables.files.php
+ * @see https://www.php.net/manual/en/features.file-upload.errors.php
+ * @param {any} req Node http.IncomingMessage-like object
+ * @returns {Promise<Record<string, any>>}
+ */
+export async function $_FILES(req) {
+  assertArity("$_FILES", arguments, 1, 1);
+  _assertReq("$_FILES", req);
+  return (await _parsedBody(req)).files;
+}
+
+/**
+ * $_REQUEST — $_GET, $_POST and $_COOKIE merged in request_order order (later sources win).
+ * @see https://www.php.net/manual/en/reserved.variables.request.php
+ * @see https://www.php.net/manual/en/ini.core.php#ini.request-order
+ * @param {any} req Node http.IncomingMessage-like object
+ * @returns {Promise<Record<string, any>>}
+ */
+export async function $_REQUEST(req) {
+  assertArity("$_REQUEST", arguments, 1, 1);
+  _assertReq("$_REQUEST", req);
+  const order = String(ini_get("request_order") || "GPC").toUpperCase();
+  const out = {};
+  for (const c of order) {
+    if (c === "G") _merge(out, $_GET(req));
+    else if (c === "P") _merge(out, await $_POST(req));
+    else if (c === "C") _merge(out, $_COOKIE(req));
+  }
+  return out;
+}
+
+/**
+ * $_SERVER — Server and execution environment information for a request:
+ * REQUEST_METHOD, REQUEST_URI, QUERY_STRING, PHP_SELF, SERVER_PROTOCOL, REQUEST_SCHEME, HTTPS,
+ * SERVER_NAME, SERVER_ADDR, SERVER_PORT, REMOTE_ADDR, REMOTE_PORT, REQUEST_TIME(_FLOAT),
+ * CONTENT_TYPE, CONTENT_LENGTH, PHP_AUTH_USER/PHP_AUTH_PW (Basic auth) and one HTTP_* key per header.
+ * @see https://www.php.net/manual/en/reserved.variables.server.php
+ * @param {any} req Node http.IncomingMessage-like object
+ * @returns {Record<string, any>}
+ */
+export function $_SERVER(req) {
+  assertArity("$_SERVER", arguments, 1, 1);
+  _assertReq("$_SERVER", req);
+  const cached = _servers.get(req);
+  if (cached) return cached;
+
+  const now = Date.now();
+  const url = String(req.url ?? "/");
+  const q = url.indexOf("?");
+  const socket = req.socket ?? req.connection ?? {};
+  const https = Boolean(socket.encrypted);
+  const headers = req.headers ?? {};
+  const host = String(headers.host ?? "");
+
+  /** @type {Record<string, any>} */
+  const server = {
+    SERVER_SOFTWARE: `Node.js/${process.version}`,
+    SERVER_PROTOCOL: `HTTP/${req.httpVersion ?? "1.1"}`,
+    REQUEST_METHOD: String(req.method ?? "GET").toUpperCase(),
+    REQUEST_URI: url,
+    QUERY_STRING: q === -1 ? "" : url.slice(q + 1),
+    PHP_SELF: q === -1 ? url : url.slice(0, q),
+    REQUEST_SCHEME: https ? "https" : "http",
+    SERVER_NAME: host.replace(/:\d+$/, ""),
+    REQUEST_TIME: Math.floor(now / 1000),
+    REQUEST_TIME_FLOAT: now / 1000,
+  };
+  if (https) server.HTTPS = "on";
+  if (socket.localAddress) server.SERVER_ADDR = socket.localAddress;
+  if (socket.localPort) server.SERVER_PORT = String(socket.localPort);
+  if (socket.remoteAddress) server.REMOTE_ADDR = socket.remoteAddress;
+  if (socket.remotePort) server.REMOTE_PORT = String(socket.remotePort);
+
+  for (const [name, value] of Object.entries(headers)) {
+    const v = Array.isArray(value) ? value.join(", ") : String(value);
+    const key = name.toUpperCase().replace(/-/g, "_");
+    // CGI passes the entity headers without the HTTP_ prefix.
+    if (key === "CONTENT_TYPE" || key === "CONTENT_LENGTH") server[key] = v;
+    else server[`HTTP_${key}`] = v;
+  }
+
+  const basic = /^Basic\s+(\S+)$/i.exec(String(headers.authorization ?? ""));
+  if (basic) {
+    const decoded = Buffer.from(basic[1], "base64").toString("utf8");
+    const colon = decoded.indexOf(":");
+    if (colon !== -1) {
+      server.AUTH_TYPE = "Basic";
+      server.PHP_AUTH_USER = decoded.slice(0, colon);
+      server.PHP_AUTH_PW = decoded.slice(colon + 1);
+    }
+  }
+
+  _servers.set(req, server);
+  return server;
+}
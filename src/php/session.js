@@ -6,10 +6,19 @@
  * - Default handler: in-memory Map (DEV).
  * - Supports custom save handlers like PHP via session_set_save_handler().
  * - Supports cookie params and session name.
+ * - Per-request state (id, data, status, req/res) belongs to the request context session_start()
+ *   binds (see internal/response), so overlapping requests never share a session, and a later
+ *   request on the same keep-alive connection does not inherit one.
+ *   Configuration (name, cookie params, save handler, ...) stays process-wide, like php.ini.
+ * - Nested "bag" access by dot path (session_bag_get("auth.user.id")) and flash data that lives for
+ *   exactly one more request (session_flash()/session_flash_get()/session_flash_keep()).
+ * - Session data format follows session.serialize_handler (see ini_set()): jLive's JSON by
+ *   default, or PHP's php / php_binary / php_serialize formats to share a store with PHP.
  *
  * Limitations:
  * - File-based handler available when session_save_path() is set (PHP-like sess_* files).
- * - Garbage collection is best-effort (manual via session_gc()).
+ * - Garbage collection is best-effort: probabilistic on session_start() (gc_probability/gc_divisor)
+ *   or manual via session_gc().
  *
  * @module php/session
  */
@@ -17,14 +26,17 @@
 import crypto from "node:crypto";
 import fs from "node:fs/promises";
 import path from "node:path";
-import { assertArity, assertNumber, assertString, typeError } from "../internal/assert.js";
+import { argError, assertArity, assertNumber, assertString, typeError } from "../internal/assert.js";
+import { bindResponse, currentContext, setHeaderLine } from "../internal/response.js";
+import { unserializeAt } from "../internal/unserialize.js";
 import { $_COOKIE, setcookie } from "./cookie.js";
+import { ini_get } from "./info.js";
+import { serialize } from "./serialize.js";
 
 export const PHP_SESSION_DISABLED = 0;
 export const PHP_SESSION_NONE = 1;
 export const PHP_SESSION_ACTIVE = 2;
 
-let _status = PHP_SESSION_NONE;
 let _sessionName = "PHPSESSID";
 
 /** @type {{lifetime:number, path:string, domain:string, secure:boolean, httponly:boolean, samesite:"Lax"|"Strict"|"None"}} */
@@ -39,17 +51,115 @@ let _cookieParams = {
 
 const _memStore = new Map(); // sid -> {data:string, mtime:number}
 
-let _currentId = "";
-let _currentData = {};
-let _isDirty = false;
-let _req = null;
-let _res = null;
+/**
+ * raw is the encoded data as read from storage (null when storage must be rewritten, e.g. after
+ * session_regenerate_id()); lazy_write compares against it to skip unchanged writes.
+ * flash holds the flash data received from the previous request (null until session_start() ages it).
+ * idOptions are the sid_length/sid_bits_per_character session_start() ran with, so ids generated
+ * later in the request (session_regenerate_id(), session_create_id()) pass its validation next time.
+ * @typedef {{status:number, id:string, data:Record<string, any>, raw:string|null, lazyWrite:boolean, flash:Record<string, any>|null, req:any, res:any, serializeHandler:string, lockedId:string, readOnly:boolean, autoCloseRes:any, idOptions:Record<string, any>}} SessionState
+ */
+
+/** Session state of each request context: ResponseContext -> SessionState */
+const _states = new WeakMap();
+
+/** @returns {SessionState} */
+function _newState() {
+  return {
+    status: PHP_SESSION_NONE,
+    id: "",
+    data: {},
+    raw: "",
+    lazyWrite: true,
+    flash: null,
+    req: null,
+    res: null,
+    serializeHandler: "json",
+    lockedId: "",
+    readOnly: false,
+    autoCloseRes: null,
+    idOptions: {},
+  };
+}
+
+/** Read-only state seen by code running outside any session context. */
+const _idleState = Object.freeze(_newState());
+
+/** @returns {SessionState} */
+function _state() {
+  const ctx = currentContext();
+  return (ctx && _states.get(ctx)) ?? _idleState;
+}
+
+/**
+ * Returns the state of the current request context, creating it on first use. With `req`/`res`,
+ * the context is the one bindResponse() gives them: a fresh one when the current context belongs
+ * to another response.
+ * Must run synchronously before the caller's first await so the caller's continuation
+ * inherits the context.
+ * @param {any} [req]
+ * @param {any} [res]
+ * @returns {SessionState}
+ */
+function _bindState(req = null, res = null) {
+  const ctx = res ? bindResponse(req, res) : (currentContext() ?? bindResponse(null, null));
+  let st = _states.get(ctx);
+  if (!st) {
+    st = _newState();
+    _states.set(ctx, st);
+  }
+  return st;
+}
+
+/**
+ * In-process exclusive locks keyed by session id, granted in FIFO order.
+ * @returns {{lock:(sid:string, timeoutMs:number)=>Promise<boolean>, unlock:(sid:string)=>Promise<boolean>}}
+ */
+function _makeLocker() {
+  /** @type {Map<string, Array<() => void>>} sid -> waiters; an entry means the id is locked */
+  const held = new Map();
+  return {
+    lock: (sid, timeoutMs) => new Promise((resolve) => {
+      const waiters = held.get(sid);
+      if (!waiters) {
+        held.set(sid, []);
+        resolve(true);
+        return;
+      }
+      let timer = null;
+      const grant = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+      waiters.push(grant);
+      if (Number.isFinite(timeoutMs) && timeoutMs >= 0) {
+        timer = setTimeout(() => {
+          const idx = waiters.indexOf(grant);
+          if (idx !== -1) waiters.splice(idx, 1);
+          resolve(false);
+        }, timeoutMs);
+      }
+    }),
+    unlock: async (sid) => {
+      const waiters = held.get(sid);
+      if (!waiters) return false;
+      const next = waiters.shift();
+      if (next) next();
+      else held.delete(sid);
+      return true;
+    },
+  };
+}
+
+const _memLocker = _makeLocker();
 
 /**
  * Default save handler (memory).
- * Signature mirrors PHP handler style.
+ * Signature mirrors PHP handler style; lock/unlock are used when session.locking is on.
  */
 let _handler = {
+  lock: _memLocker.lock,
+  unlock: _memLocker.unlock,
   open: async () => true,
   close: async () => true,
   read: async (sid) => _memStore.get(sid)?.data ?? "",
@@ -68,14 +178,80 @@ let _handler = {
     }
     return true;
   },
+  validate_sid: async (sid) => _memStore.has(sid),
+  update_timestamp: async (sid, data) => {
+    const entry = _memStore.get(sid);
+    if (entry) entry.mtime = Date.now();
+    else _memStore.set(sid, { data, mtime: Date.now() });
+    return true;
+  },
 };
 
 const _defaultMemHandler = _handler;
 
+/**
+ * True when a lock file belongs to a process that no longer exists.
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+async function _isStaleLockFile(file) {
+  let pid;
+  try {
+    pid = Number(await fs.readFile(file, "utf8"));
+  } catch {
+    return false;
+  }
+  // empty/partial content: the owner is still writing it
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (e) {
+    return e?.code === "ESRCH";
+  }
+}
+
 function _makeFileHandler(savePath) {
   const dir = savePath;
   const fileFor = (sid) => path.join(dir, `sess_${sid}`);
+  // Requests in this process queue on an in-memory lock; other processes are kept out by an
+  // exclusive sess_<id>.lock file holding our pid (removed on unlock, reclaimed if the owner died).
+  const locker = _makeLocker();
+  const lockFileFor = (sid) => `${fileFor(sid)}.lock`;
   return {
+    lock: async (sid, timeoutMs) => {
+      const deadline = Date.now() + timeoutMs;
+      if (!(await locker.lock(sid, timeoutMs))) return false;
+      const file = lockFileFor(sid);
+      for (;;) {
+        try {
+          await fs.writeFile(file, String(process.pid), { flag: "wx" });
+          return true;
+        } catch (e) {
+          if (e?.code === "ENOENT") {
+            await fs.mkdir(dir, { recursive: true });
+            continue;
+          }
+          if (e?.code !== "EEXIST") {
+            await locker.unlock(sid);
+            throw e;
+          }
+        }
+        if (await _isStaleLockFile(file)) {
+          await fs.unlink(file).catch(() => {});
+          continue;
+        }
+        if (Date.now() >= deadline) {
+          await locker.unlock(sid);
+          return false;
+        }
+        await new Promise((r) => setTimeout(r, 25));
+      }
+    },
+    unlock: async (sid) => {
+      await fs.unlink(lockFileFor(sid)).catch(() => {});
+      return locker.unlock(sid);
+    },
     open: async () => {
       await fs.mkdir(dir, { recursive: true });
       return true;
@@ -101,13 +277,31 @@ function _makeFileHandler(savePath) {
       }
       return true;
     },
+    validate_sid: async (sid) => {
+      try {
+        await fs.access(fileFor(sid));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    update_timestamp: async (sid, data) => {
+      const now = new Date();
+      try {
+        await fs.utimes(fileFor(sid), now, now);
+      } catch {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(fileFor(sid), data, "utf8");
+      }
+      return true;
+    },
     gc: async (maxlifetime) => {
       try {
         const entries = await fs.readdir(dir, { withFileTypes: true });
         const cutoff = Date.now() - maxlifetime * 1000;
         await Promise.all(entries.map(async (ent) => {
           if (!ent.isFile()) return;
-          if (!ent.name.startsWith("sess_")) return;
+          if (!ent.name.startsWith("sess_") || ent.name.endsWith(".lock")) return;
           const fp = path.join(dir, ent.name);
           try {
             const st = await fs.stat(fp);
@@ -125,27 +319,362 @@ function _makeFileHandler(savePath) {
 }
 
 
-function _newId() {
-  return crypto.randomBytes(16).toString("hex");
+/** PHP's session id alphabet; sid_bits_per_character 4/5/6 use its first 16/32/64 characters. */
+const _SID_CHARS = "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ,-";
+
+/**
+ * Generate a random id of session.sid_length characters carrying
+ * session.sid_bits_per_character bits each (same bit packing as PHP's bin_to_readable()).
+ * @param {Record<string, any>} [options] session_start() overrides
+ * @returns {string}
+ */
+function _newId(options = {}) {
+  const length = Number(_option(options, "sid_length"));
+  const bits = Number(_option(options, "sid_bits_per_character"));
+  const bytes = crypto.randomBytes(Math.ceil((length * bits) / 8));
+  const mask = (1 << bits) - 1;
+  let out = "";
+  let w = 0;
+  let have = 0;
+  let p = 0;
+  while (out.length < length) {
+    if (have < bits) {
+      w |= bytes[p++] << have;
+      have += 8;
+    }
+    out += _SID_CHARS[w & mask];
+    w >>= bits;
+    have -= bits;
+  }
+  return out;
+}
+
+/**
+ * An incoming id is accepted when it ends in sid_length characters of the configured alphabet,
+ * optionally preceded by a session_create_id() prefix. Anything else (e.g. "../" or an id from a
+ * differently configured tier) is ignored and a new session is started, as PHP does.
+ * @param {string} sid
+ * @param {Record<string, any>} [options]
+ * @returns {boolean}
+ */
+function _isValidId(sid, options = {}) {
+  const length = Number(_option(options, "sid_length"));
+  const bits = Number(_option(options, "sid_bits_per_character"));
+  if (sid.length > 256) return false;
+  const alphabet = _SID_CHARS.slice(0, 1 << bits).replace("-", "\\-");
+  return new RegExp(`^[A-Za-z0-9,\\-]*[${alphabet}]{${length}}$`).test(sid);
+}
+
+/**
+ * Write session data, release the lock and close the handler for an active state.
+ * With lazy_write, unchanged data is not rewritten; only its timestamp is refreshed
+ * (update_timestamp hook, or a plain write for handlers without one).
+ * @param {SessionState} st
+ */
+async function _writeClose(st) {
+  // Flip status first so a concurrent call (or the response hook) cannot write twice.
+  st.status = PHP_SESSION_NONE;
+  try {
+    const encoded = _serialize(st.data, st.serializeHandler);
+    const unchanged = st.lazyWrite && encoded === st.raw;
+    if (unchanged && typeof _handler.update_timestamp === "function") await _handler.update_timestamp(st.id, encoded);
+    else await _handler.write?.(st.id, encoded);
+    st.raw = encoded;
+  } finally {
+    await _unlock(st);
+    await _handler.close?.();
+  }
+}
+
+/**
+ * strict mode check: the handler's validate_sid hook, else "read() returns data".
+ * @param {string} sid
+ * @returns {Promise<boolean>}
+ */
+async function _validateId(sid) {
+  if (typeof _handler.validate_sid === "function") return Boolean(await _handler.validate_sid(sid));
+  return Boolean(await _handler.read?.(sid));
+}
+
+/**
+ * Probabilistic garbage collection on session_start(), as PHP does:
+ * runs the handler's gc with chance gc_probability/gc_divisor.
+ * @param {Record<string, any>} options
+ */
+async function _maybeGc(options) {
+  const probability = Number(_option(options, "gc_probability"));
+  const divisor = Number(_option(options, "gc_divisor"));
+  if (!(probability > 0 && divisor > 0)) return;
+  if (Math.random() * divisor >= probability) return;
+  try {
+    await _handler.gc?.(Number(_option(options, "gc_maxlifetime")));
+  } catch {
+    // gc is best-effort, like PHP's; a failing sweep must not fail the request
+  }
+}
+
+/**
+ * Close the session when the response is done, like PHP does at the end of the script.
+ * Listens once per response; does nothing if the session was already closed by hand.
+ * Runs outside the request's async context, so it works on the captured state.
+ * @param {SessionState} st
+ * @param {any} res
+ */
+function _closeOnResponseEnd(st, res) {
+  if (typeof res?.once !== "function" || st.autoCloseRes === res) return;
+  st.autoCloseRes = res;
+  const onEnd = () => {
+    res.off?.("finish", onEnd);
+    res.off?.("close", onEnd);
+    if (st.status !== PHP_SESSION_ACTIVE) return;
+    _writeClose(st).catch((e) => {
+      process.emitWarning(`session_write_close(): Failed to write session data on response end: ${e?.message ?? e}`);
+    });
+  };
+  res.once("finish", onEnd);
+  res.once("close", onEnd);
+}
+
+/** Expires date PHP sends to mark a response as already stale. */
+const _EXPIRES_IN_PAST = "Thu, 19 Nov 1981 08:52:00 GMT";
+
+/**
+ * Emit the caching headers PHP sends for a session cache limiter.
+ * Nothing is sent for an empty/unknown limiter or once headers are out.
+ * @see https://www.php.net/manual/en/function.session-cache-limiter.php
+ * @param {any} res
+ * @param {string} limiter nocache|private|private_no_expire|public
+ * @param {number} expireMinutes
+ */
+function _sendCacheLimiterHeaders(res, limiter, expireMinutes) {
+  if (!limiter || typeof res?.setHeader !== "function" || res.headersSent) return;
+  const maxAge = Math.max(0, Math.floor(expireMinutes * 60));
+  switch (limiter) {
+    case "nocache":
+      setHeaderLine(res, "Expires", _EXPIRES_IN_PAST);
+      setHeaderLine(res, "Cache-Control", "no-store, no-cache, must-revalidate");
+      setHeaderLine(res, "Pragma", "no-cache");
+      break;
+    case "private":
+      setHeaderLine(res, "Expires", _EXPIRES_IN_PAST);
+      setHeaderLine(res, "Cache-Control", `private, max-age=${maxAge}`);
+      break;
+    case "private_no_expire":
+      setHeaderLine(res, "Cache-Control", `private, max-age=${maxAge}`);
+      break;
+    case "public":
+      setHeaderLine(res, "Expires", new Date(Date.now() + maxAge * 1000).toUTCString());
+      setHeaderLine(res, "Cache-Control", `public, max-age=${maxAge}`);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Interpret an ini-style boolean ("1", "On", "true", "yes" or a JS boolean).
+ * @param {any} v
+ * @returns {boolean}
+ */
+function _iniBool(v) {
+  return ["1", "on", "true", "yes"].includes(String(v).trim().toLowerCase());
+}
+
+/**
+ * A session_start() option, falling back to the matching session.* ini directive.
+ * @param {Record<string, any>} options
+ * @param {string} key directive name without the "session." prefix
+ * @returns {any}
+ */
+function _option(options, key) {
+  return options[key] ?? ini_get(`session.${key}`);
 }
 
+/**
+ * Acquire the handler lock for `sid` and remember it on the state.
+ * @param {SessionState} st
+ * @param {string} sid
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>}
+ */
+async function _lock(st, sid, timeoutMs) {
+  if (typeof _handler.lock !== "function") return true;
+  if (!(await _handler.lock(sid, timeoutMs))) return false;
+  st.lockedId = sid;
+  return true;
+}
+
+/**
+ * Release the lock held by this state, if any.
+ * @param {SessionState} st
+ */
+async function _unlock(st) {
+  const sid = st.lockedId;
+  if (!sid) return;
+  st.lockedId = "";
+  await _handler.unlock?.(sid);
+}
+
+/**
+ * Replace session variables in place so references handed out earlier (req.__SESSION) stay valid.
+ * @param {SessionState} st
+ * @param {Record<string, any>} data
+ */
+function _replaceData(st, data) {
+  for (const k of Object.keys(st.data)) delete st.data[k];
+  Object.assign(st.data, data);
+}
+
+/**
+ * Like _ensureActive(), but read_and_close sessions stay readable, as $_SESSION does in PHP.
+ * @param {string} fn
+ * @returns {SessionState}
+ */
+function _ensureReadable(fn) {
+  const st = _state();
+  return st.readOnly ? st : _ensureActive(fn);
+}
+
+/**
+ * Send the session cookie using the current cookie params.
+ * @param {any} res
+ * @param {string} sid
+ */
+function _sendCookie(res, sid) {
+  // PHP uses lifetime seconds relative to now; setcookie expects an absolute timestamp.
+  const expires = _cookieParams.lifetime > 0 ? Math.floor(Date.now() / 1000) + _cookieParams.lifetime : 0;
+  const { path: p, domain, secure, httponly, samesite } = _cookieParams;
+  setcookie(_sessionName, sid, { expires, path: p, domain, secure, httponly, samesite }, res);
+}
+
+/**
+ * @param {string} fn
+ * @returns {SessionState}
+ */
 function _ensureActive(fn) {
-  if (_status !== PHP_SESSION_ACTIVE) throw new Error(`${fn}(): session is not active`);
+  const st = _state();
+  if (st.status !== PHP_SESSION_ACTIVE) throw new Error(`${fn}(): session is not active`);
+  return st;
+}
+
+/** @param {string} s */
+function _utf8Length(s) {
+  return Buffer.byteLength(s, "utf8");
+}
+
+/**
+ * Serialize handlers (session.serialize_handler).
+ * - json: jLive's historical format (default, keeps existing stores readable)
+ * - php: `key|<serialized value>` pairs, PHP's default
+ * - php_binary: `<key length byte>key<serialized value>` pairs
+ * - php_serialize: serialize() of the whole session array
+ * Encoders throw on data PHP cannot represent; decoders throw on malformed input.
+ * @type {Record<string, {encode:(data:Record<string, any>)=>string, decode:(raw:string)=>Record<string, any>}>}
+ */
+const _serializeHandlers = {
+  json: {
+    encode: (data) => JSON.stringify(data ?? {}),
+    decode: (raw) => JSON.parse(raw),
+  },
+  php: {
+    encode: (data) => {
+      let out = "";
+      for (const [k, v] of Object.entries(data ?? {})) {
+        if (k.includes("|")) throw new Error(`session data key "${k}" contains the "|" delimiter`);
+        out += `${k}|${serialize(v)}`;
+      }
+      return out;
+    },
+    decode: (raw) => {
+      const out = {};
+      let i = 0;
+      while (i < raw.length) {
+        const bar = raw.indexOf("|", i);
+        if (bar === -1) throw new Error("missing \"|\" delimiter");
+        const key = raw.slice(i, bar);
+        const r = unserializeAt(raw, bar + 1);
+        out[key] = r.value;
+        i = r.offset;
+      }
+      return out;
+    },
+  },
+  php_binary: {
+    encode: (data) => {
+      let out = "";
+      for (const [k, v] of Object.entries(data ?? {})) {
+        // PHP reserves the high bit of the length byte, so keys are limited to 127 bytes.
+        const len = _utf8Length(k);
+        if (len > 127) throw new Error(`session data key "${k}" is longer than 127 bytes`);
+        out += `${String.fromCharCode(len)}${k}${serialize(v)}`;
+      }
+      return out;
+    },
+    decode: (raw) => {
+      const out = {};
+      let i = 0;
+      while (i < raw.length) {
+        const len = raw.charCodeAt(i++) & 0x7f;
+        // the length counts UTF-8 bytes; walk characters until that many bytes are consumed
+        let end = i;
+        for (let bytes = 0; bytes < len; ) {
+          if (end >= raw.length) throw new Error("truncated key");
+          const cp = raw.codePointAt(end);
+          bytes += _utf8Length(String.fromCodePoint(cp));
+          end += cp > 0xffff ? 2 : 1;
+        }
+        const key = raw.slice(i, end);
+        const r = unserializeAt(raw, end);
+        out[key] = r.value;
+        i = r.offset;
+      }
+      return out;
+    },
+  },
+  php_serialize: {
+    encode: (data) => serialize(data ?? {}),
+    decode: (raw) => unserializeAt(raw, 0).value,
+  },
+};
+
+/**
+ * @param {string} name
+ * @returns {{encode:(data:Record<string, any>)=>string, decode:(raw:string)=>Record<string, any>}}
+ */
+function _serializeHandler(name) {
+  const h = Object.prototype.hasOwnProperty.call(_serializeHandlers, name) ? _serializeHandlers[name] : null;
+  if (!h) throw new Error(`session_start(): Cannot find session serialization handler "${name}"`);
+  return h;
 }
 
-function _serialize(data) {
-  // Use JSON for now; PHP serialize/unserialize is available as separate module.
-  return JSON.stringify(data ?? {});
+/**
+ * @param {Record<string, any>} data
+ * @param {string} handler session.serialize_handler name
+ * @returns {string}
+ */
+function _serialize(data, handler) {
+  return _serializeHandler(handler).encode(data);
 }
 
-function _deserialize(data) {
+/**
+ * Decode stored session data. Unreadable data (e.g. written by another serialize_handler) throws
+ * instead of yielding an empty session, which would be written back over it.
+ * @param {string} fn calling function, for the error message
+ * @param {string} data
+ * @param {string} handler session.serialize_handler name
+ * @returns {Record<string, any>}
+ */
+function _deserialize(fn, data, handler) {
   if (!data) return {};
+  const codec = _serializeHandler(handler);
+  let v;
   try {
-    const v = JSON.parse(data);
-    return v && typeof v === "object" ? v : {};
+    v = codec.decode(data);
   } catch {
-    return {};
+    v = null;
   }
+  if (!v || typeof v !== "object") throw new Error(`${fn}(): Failed to decode session object`);
+  return Array.isArray(v) ? { ...v } : v;
 }
 
 /**
@@ -158,7 +687,7 @@ export function session_name(name = undefined) {
   assertArity("session_name", arguments, 0, 1);
   if (name !== undefined) {
     assertString("session_name", 1, name);
-    if (_status === PHP_SESSION_ACTIVE) throw new Error("session_name(): cannot change name when session is active");
+    if (_state().status === PHP_SESSION_ACTIVE) throw new Error("session_name(): cannot change name when session is active");
     _sessionName = name;
   }
   return _sessionName;
@@ -185,7 +714,7 @@ export function session_get_cookie_params() {
  */
 export function session_set_cookie_params(opts, path = undefined, domain = undefined, secure = undefined, httponly = undefined) {
   assertArity("session_set_cookie_params", arguments, 1, 5);
-  if (_status === PHP_SESSION_ACTIVE) throw new Error("session_set_cookie_params(): cannot change params when session is active");
+  if (_state().status === PHP_SESSION_ACTIVE) throw new Error("session_set_cookie_params(): cannot change params when session is active");
 
   if (typeof opts === "number") {
     _cookieParams.lifetime = opts;
@@ -215,7 +744,7 @@ export function session_set_cookie_params(opts, path = undefined, domain = undef
  * @returns {number}
  */
 export function session_status() {
-  return _status;
+  return _state().status;
 }
 
 /**
@@ -228,22 +757,47 @@ export function session_id(id = undefined) {
   assertArity("session_id", arguments, 0, 1);
   if (id !== undefined) {
     assertString("session_id", 1, id);
-    if (_status === PHP_SESSION_ACTIVE) throw new Error("session_id(): cannot set id when session is active");
-    _currentId = id;
+    if (_state().status === PHP_SESSION_ACTIVE) throw new Error("session_id(): cannot set id when session is active");
+    _bindState().id = id;
   }
-  return _currentId;
+  return _state().id;
+}
+
+/**
+ * session_create_id — Create new session id.
+ * The id honours session.sid_length and session.sid_bits_per_character (while a session is active,
+ * the values it was started with); use it with
+ * session_id() before session_start() to issue prefixed ids (e.g. for routing or sharding).
+ * @see https://www.php.net/manual/en/function.session-create-id.php
+ * @param {string} [prefix=""] only A-Z, a-z, 0-9, "," and "-" are allowed
+ * @returns {string|false} false when the prefix is invalid or the id would exceed 256 characters
+ */
+export function session_create_id(prefix = "") {
+  assertArity("session_create_id", arguments, 0, 1);
+  assertString("session_create_id", 1, prefix);
+  if (!/^[A-Za-z0-9,-]*$/.test(prefix)) return false;
+  const st = _state();
+  const sid = prefix + _newId(st.status === PHP_SESSION_ACTIVE ? st.idOptions : {});
+  return sid.length > 256 ? false : sid;
 }
 
 /**
  * session_set_save_handler — Set user-level session storage functions.
  * @see https://www.php.net/manual/en/function.session-set-save-handler.php
- * @param {{open?:Function,close?:Function,read?:Function,write?:Function,destroy?:Function,gc?:Function}} handler
+ * Besides PHP's open/close/read/write/destroy/gc, a handler may provide the locking hooks used
+ * when session.locking is on: `lock(sid, timeoutMs)` resolves true once the id is held exclusively
+ * (false on timeout) and `unlock(sid)` releases it. Omitted hooks fall back to the current handler's.
+ * Like PHP's SessionUpdateTimestampHandlerInterface, `validate_sid(sid)` tells strict mode whether an
+ * id exists in storage and `update_timestamp(sid, data)` refreshes an unchanged session under
+ * lazy_write. They are only inherited when `read`/`write` are, since they must see the same storage;
+ * without them strict mode falls back to "read() returns data" and lazy_write to a full write.
+ * @param {{open?:Function,close?:Function,read?:Function,write?:Function,destroy?:Function,gc?:Function,lock?:(sid:string, timeoutMs:number)=>Promise<boolean>,unlock?:(sid:string)=>Promise<boolean>,validate_sid?:(sid:string)=>Promise<boolean>,update_timestamp?:(sid:string, data:string)=>Promise<boolean>}} handler
  * @returns {boolean}
  */
 export function session_set_save_handler(handler) {
   assertArity("session_set_save_handler", arguments, 1, 1);
   if (!handler || typeof handler !== "object") typeError("session_set_save_handler", 1, "object", handler);
-  if (_status === PHP_SESSION_ACTIVE) throw new Error("session_set_save_handler(): cannot change handler when session is active");
+  if (_state().status === PHP_SESSION_ACTIVE) throw new Error("session_set_save_handler(): cannot change handler when session is active");
 
   _handler = {
     open: handler.open ?? _handler.open,
@@ -252,67 +806,129 @@ export function session_set_save_handler(handler) {
     write: handler.write ?? _handler.write,
     destroy: handler.destroy ?? _handler.destroy,
     gc: handler.gc ?? _handler.gc,
+    lock: handler.lock ?? _handler.lock,
+    unlock: handler.unlock ?? _handler.unlock,
+    validate_sid: handler.validate_sid ?? (handler.read ? undefined : _handler.validate_sid),
+    update_timestamp: handler.update_timestamp ?? (handler.write ? undefined : _handler.update_timestamp),
   };
   return true;
 }
 
 /**
  * session_start — Start new or resume existing session.
+ * The session is bound to the caller's async context: concurrent requests each see their own
+ * id and data, and session_get()/session_set()/session_write_close() act on the caller's request.
+ * With session.locking on, the session id stays locked until session_write_close()/session_abort()/
+ * session_destroy(), so parallel requests of one user run their session sections one at a time.
+ * `read_and_close` reads the data and releases the session (and its lock) right away: session_get()
+ * keeps working, but changes are not saved.
+ * Caching headers matching session_cache_limiter()/session_cache_expire() are set on `res`
+ * (nocache by default, so proxies do not cache authenticated pages).
+ * With session.auto_write_close on, a session still active when `res` emits "finish" or "close"
+ * is written and closed automatically (PHP's end-of-script behaviour).
  * @see https://www.php.net/manual/en/function.session-start.php
  * @param {any} req Node IncomingMessage
  * @param {any} res Node ServerResponse
- * @param {{use_strict_mode?:boolean}} [options]
- * @returns {Promise<boolean>}
+ * @param {{use_strict_mode?:boolean, sid_length?:number, sid_bits_per_character?:4|5|6, lazy_write?:boolean, gc_probability?:number, gc_divisor?:number, gc_maxlifetime?:number, serialize_handler?:"json"|"php"|"php_binary"|"php_serialize", locking?:boolean, lock_timeout?:number, auto_write_close?:boolean, cache_limiter?:string, cache_expire?:number, read_and_close?:boolean}} [options]
+ *   Per-call overrides of the matching `session.*` ini directives, plus `read_and_close`.
+ * @returns {Promise<boolean>} false if the session lock could not be acquired in time
+ * @throws {Error} if the stored data cannot be decoded with session.serialize_handler (it is left untouched)
  */
 export async function session_start(req, res, options = {}) {
   assertArity("session_start", arguments, 2, 3);
-  
-// If a session save path is configured and the current handler is still the default memory handler,
-// switch to a PHP-like file save handler that stores sess_<id> files.
-if (__sessionSavePath && _handler === _defaultMemHandler) {
-  _handler = _makeFileHandler(__sessionSavePath);
-}
 
-_req = req;
-  _res = res;
+  // Bind before the first await so the caller's continuation sees this request's state.
+  const st = _bindState(req, res);
+
+  // If a session save path is configured and the current handler is still the default memory handler,
+  // switch to a PHP-like file save handler that stores sess_<id> files.
+  if (__sessionSavePath && _handler === _defaultMemHandler) {
+    _handler = _makeFileHandler(__sessionSavePath);
+  }
 
-  if (_status === PHP_SESSION_ACTIVE) return true;
+  if (st.status === PHP_SESSION_ACTIVE) return true;
+
+  st.req = req;
+  st.res = res;
+  st.idOptions = { sid_length: _option(options, "sid_length"), sid_bits_per_character: _option(options, "sid_bits_per_character") };
 
   const cookies = $_COOKIE(req);
-  let sid = cookies[_sessionName] ?? _currentId;
+  let sid = cookies[_sessionName] ?? st.id;
 
   if (sid && typeof sid !== "string") sid = String(sid);
+  if (sid && !_isValidId(sid, st.idOptions)) sid = "";
+
+  // strict mode: only accept IDs the handler knows (validate_sid), never adopt forged ones
+  const strict = _iniBool(_option(options, "use_strict_mode"));
 
-  // strict mode: only accept existing IDs that the handler can read
-  const strict = Boolean(options.use_strict_mode ?? false);
+  const serializeHandler = String(_option(options, "serialize_handler"));
+  _serializeHandler(serializeHandler);
+  st.serializeHandler = serializeHandler;
+
+  const locking = _iniBool(_option(options, "locking"));
+  const lockTimeoutMs = Number(_option(options, "lock_timeout")) * 1000;
 
   await _handler.open?.();
 
-  if (sid) {
-    const raw = await _handler.read?.(sid);
-    if (strict && !raw) sid = "";
-    _currentData = _deserialize(raw);
-  }
+  if (sid && strict && !(await _validateId(sid))) sid = "";
 
-  if (!sid) {
-    sid = _newId();
-    _currentData = {};
-    // send cookie now
-    setcookie(_sessionName, sid, res, {
-      ..._cookieParams,
-      // PHP uses lifetime seconds; setcookie expects either Date or seconds; our setcookie handles both.
-      expires: _cookieParams.lifetime > 0 ? Math.floor(Date.now() / 1000) + _cookieParams.lifetime : 0,
-    });
-  }
+  try {
+    let data = {};
+    let raw = "";
+    if (sid) {
+      if (locking && !(await _lock(st, sid, lockTimeoutMs))) {
+        await _handler.close?.();
+        return false;
+      }
+      raw = String((await _handler.read?.(sid)) ?? "");
+      data = _deserialize("session_start", raw, serializeHandler);
+    }
 
-  _currentId = sid;
-  _isDirty = false;
-  _status = PHP_SESSION_ACTIVE;
+    if (!sid) {
+      sid = _newId(st.idOptions);
+      data = {};
+      // a fresh random id cannot be contended, but hold it so the close path stays uniform
+      if (locking) await _lock(st, sid, lockTimeoutMs);
+      // send cookie now
+      _sendCookie(res, sid);
+    }
 
-  // Expose a PHP-like superglobal
-  req.__SESSION = _currentData;
+    st.id = sid;
+    st.data = data;
+    st.raw = raw;
+    st.lazyWrite = _iniBool(_option(options, "lazy_write"));
+    st.readOnly = false;
+    st.status = PHP_SESSION_ACTIVE;
 
-  return true;
+    // Once per request: last request's flash data becomes readable here and is not stored again.
+    if (st.flash === null) {
+      st.flash = _isPlainObject(data[_FLASH_KEY]) ? data[_FLASH_KEY] : {};
+      delete data[_FLASH_KEY];
+    }
+
+    // Expose a PHP-like superglobal
+    req.__SESSION = st.data;
+
+    _sendCacheLimiterHeaders(res, String(options.cache_limiter ?? __sessionCacheLimiter), Number(options.cache_expire ?? __sessionCacheExpire));
+
+    await _maybeGc(options);
+
+    if (options.read_and_close) {
+      st.status = PHP_SESSION_NONE;
+      st.readOnly = true;
+      await _unlock(st);
+      await _handler.close?.();
+    } else if (_iniBool(_option(options, "auto_write_close"))) {
+      _closeOnResponseEnd(st, res);
+    }
+    return true;
+  } catch (e) {
+    // a failing handler (read, gc, ...) must not leave the id locked or the session half-started
+    st.status = PHP_SESSION_NONE;
+    await _unlock(st).catch(() => {});
+    await Promise.resolve(_handler.close?.()).catch(() => {});
+    throw e;
+  }
 }
 
 /**
@@ -321,13 +937,8 @@ _req = req;
  * @returns {Promise<boolean>}
  */
 export async function session_write_close() {
-  _ensureActive("session_write_close");
-  if (_isDirty) await _handler.write?.(_currentId, _serialize(_currentData));
-  await _handler.close?.();
-  _status = PHP_SESSION_NONE;
-  _req = null;
-  _res = null;
-  _isDirty = false;
+  const st = _ensureActive("session_write_close");
+  await _writeClose(st);
   return true;
 }
 
@@ -337,11 +948,15 @@ export async function session_write_close() {
  * @returns {Promise<boolean>}
  */
 export async function session_destroy() {
-  _ensureActive("session_destroy");
-  await _handler.destroy?.(_currentId);
-  _currentData = {};
-  _isDirty = false;
-  _status = PHP_SESSION_NONE;
+  const st = _ensureActive("session_destroy");
+  st.status = PHP_SESSION_NONE;
+  try {
+    await _handler.destroy?.(st.id);
+  } finally {
+    await _unlock(st);
+  }
+  st.data = {};
+  st.raw = "";
   return true;
 }
 
@@ -353,30 +968,34 @@ export async function session_destroy() {
  */
 export async function session_regenerate_id(deleteOldSession = false) {
   assertArity("session_regenerate_id", arguments, 0, 1);
-  _ensureActive("session_regenerate_id");
+  const st = _ensureActive("session_regenerate_id");
 
-  const old = _currentId;
-  const sid = _newId();
-  _currentId = sid;
-  _isDirty = true;
+  const old = st.id;
+  const sid = _newId(st.idOptions);
+  st.id = sid;
+  // nothing is stored under the new id yet: force a full write on close
+  st.raw = null;
 
-  if (_res) {
-    setcookie(_sessionName, sid, _res, {
-      ..._cookieParams,
-      expires: _cookieParams.lifetime > 0 ? Math.floor(Date.now() / 1000) + _cookieParams.lifetime : 0,
-    });
+  // move the lock to the new id; nobody else can know it yet
+  if (st.lockedId) {
+    await _unlock(st);
+    await _lock(st, sid, Infinity);
   }
 
+  if (st.res) _sendCookie(st.res, sid);
+
   if (deleteOldSession) await _handler.destroy?.(old);
   return true;
 }
 
 /**
  * session_gc — Run garbage collection.
- * @param {number} maxlifetime seconds
+ * session_start() also runs it automatically with probability gc_probability/gc_divisor.
+ * @see https://www.php.net/manual/en/function.session-gc.php
+ * @param {number} [maxlifetime] seconds (default: session.gc_maxlifetime)
  * @returns {Promise<boolean>}
  */
-export async function session_gc(maxlifetime = 1440) {
+export async function session_gc(maxlifetime = Number(ini_get("session.gc_maxlifetime"))) {
   assertArity("session_gc", arguments, 0, 1);
   if (typeof maxlifetime !== "number") typeError("session_gc", 1, "int", maxlifetime);
   await _handler.gc?.(maxlifetime);
@@ -392,8 +1011,8 @@ export async function session_gc(maxlifetime = 1440) {
 export function session_get(key, defaultValue = null) {
   assertArity("session_get", arguments, 1, 2);
   assertString("session_get", 1, key);
-  _ensureActive("session_get");
-  return Object.prototype.hasOwnProperty.call(_currentData, key) ? _currentData[key] : defaultValue;
+  const st = _ensureReadable("session_get");
+  return Object.prototype.hasOwnProperty.call(st.data, key) ? st.data[key] : defaultValue;
 }
 
 /**
@@ -405,11 +1024,290 @@ export function session_get(key, defaultValue = null) {
 export function session_set(key, value) {
   assertArity("session_set", arguments, 2, 2);
   assertString("session_set", 1, key);
-  _ensureActive("session_set");
-  _currentData[key] = value;
-  _isDirty = true;
+  const st = _ensureActive("session_set");
+  st.data[key] = value;
+}
+
+/**
+ * session_encode — Encodes the current session data as a session encoded string.
+ * Uses the session.serialize_handler the session was started with.
+ * @see https://www.php.net/manual/en/function.session-encode.php
+ * @returns {string}
+ */
+export function session_encode() {
+  assertArity("session_encode", arguments, 0, 0);
+  const st = _ensureActive("session_encode");
+  return _serialize(st.data, st.serializeHandler);
+}
+
+/**
+ * session_decode — Decodes session data from a session encoded string.
+ * Decoded variables are merged into the current session; on malformed input the
+ * session is left untouched and false is returned.
+ * @see https://www.php.net/manual/en/function.session-decode.php
+ * @param {string} data
+ * @returns {boolean}
+ */
+export function session_decode(data) {
+  assertArity("session_decode", arguments, 1, 1);
+  assertString("session_decode", 1, data);
+  const st = _ensureActive("session_decode");
+
+  let decoded;
+  try {
+    decoded = _serializeHandler(st.serializeHandler).decode(data);
+  } catch {
+    return false;
+  }
+  if (!decoded || typeof decoded !== "object") return false;
+
+  Object.assign(st.data, decoded);
+  return true;
+}
+
+/**
+ * session_unset — Free all session variables; the session stays active.
+ * @see https://www.php.net/manual/en/function.session-unset.php
+ * @returns {boolean}
+ */
+export function session_unset() {
+  assertArity("session_unset", arguments, 0, 0);
+  const st = _ensureActive("session_unset");
+  _replaceData(st, {});
+  return true;
+}
+
+/**
+ * session_abort — Discard session array changes and finish session.
+ * @see https://www.php.net/manual/en/function.session-abort.php
+ * @returns {Promise<boolean>}
+ */
+export async function session_abort() {
+  assertArity("session_abort", arguments, 0, 0);
+  const st = _ensureActive("session_abort");
+  st.status = PHP_SESSION_NONE;
+  await _unlock(st);
+  await _handler.close?.();
+  return true;
+}
+
+/**
+ * session_reset — Re-initialize session array with original values from storage.
+ * @see https://www.php.net/manual/en/function.session-reset.php
+ * @returns {Promise<boolean>}
+ * @throws {Error} if the stored data cannot be decoded; the current data is kept
+ */
+export async function session_reset() {
+  assertArity("session_reset", arguments, 0, 0);
+  const st = _ensureActive("session_reset");
+  const raw = String((await _handler.read?.(st.id)) ?? "");
+  _replaceData(st, _deserialize("session_reset", raw, st.serializeHandler));
+  st.raw = raw;
+  return true;
+}
+
+// -------------------------
+// Bags (nested keys) and flash data
+// -------------------------
+
+/** Session key holding flash data for the next request. */
+const _FLASH_KEY = "__flash";
+
+/** @param {any} v @returns {boolean} */
+function _isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * @param {string} fn
+ * @param {string|string[]} path "a.b.c" or ["a", "b.c"] for keys containing dots
+ * @returns {string[]}
+ */
+function _segments(fn, path) {
+  if (typeof path !== "string" && !Array.isArray(path)) typeError(fn, 1, "string|array", path);
+  const segs = Array.isArray(path) ? path.map(String) : path.split(".");
+  if (segs.length === 0 || segs.some((s) => s === "")) argError(fn, `expects a non-empty dot path, "${Array.isArray(path) ? path.join(".") : path}" given`);
+  return segs;
+}
+
+/**
+ * Walk to the parent object of the last segment.
+ * @param {Record<string, any>} root
+ * @param {string[]} segs
+ * @param {boolean} create create (or replace non-object) intermediate levels
+ * @returns {Record<string, any>|null}
+ */
+function _parentOf(root, segs, create) {
+  let cur = root;
+  for (const seg of segs.slice(0, -1)) {
+    if (!_isPlainObject(cur[seg]) && !Array.isArray(cur[seg])) {
+      if (!create) return null;
+      cur[seg] = {};
+    }
+    cur = cur[seg];
+  }
+  return cur;
+}
+
+/**
+ * session_bag_get — Read a nested session value by dot path.
+ * @param {string|string[]} path e.g. "auth.user.id"
+ * @param {any} [defaultValue=null]
+ * @returns {any}
+ */
+export function session_bag_get(path, defaultValue = null) {
+  assertArity("session_bag_get", arguments, 1, 2);
+  const segs = _segments("session_bag_get", path);
+  const st = _ensureReadable("session_bag_get");
+  const parent = _parentOf(st.data, segs, false);
+  const last = segs[segs.length - 1];
+  return parent && Object.prototype.hasOwnProperty.call(parent, last) ? parent[last] : defaultValue;
 }
 
+/**
+ * session_bag_set — Write a nested session value by dot path, creating intermediate levels.
+ * @param {string|string[]} path
+ * @param {any} value
+ * @returns {void}
+ */
+export function session_bag_set(path, value) {
+  assertArity("session_bag_set", arguments, 2, 2);
+  const segs = _segments("session_bag_set", path);
+  const st = _ensureActive("session_bag_set");
+  _parentOf(st.data, segs, true)[segs[segs.length - 1]] = value;
+}
+
+/**
+ * session_bag_has — Whether a nested session value exists.
+ * @param {string|string[]} path
+ * @returns {boolean}
+ */
+export function session_bag_has(path) {
+  assertArity("session_bag_has", arguments, 1, 1);
+  const segs = _segments("session_bag_has", path);
+  const st = _ensureReadable("session_bag_has");
+  const parent = _parentOf(st.data, segs, false);
+  return Boolean(parent) && Object.prototype.hasOwnProperty.call(parent, segs[segs.length - 1]);
+}
+
+/**
+ * session_bag_unset — Remove a nested session value.
+ * @param {string|string[]} path
+ * @returns {boolean} true if something was removed
+ */
+export function session_bag_unset(path) {
+  assertArity("session_bag_unset", arguments, 1, 1);
+  const segs = _segments("session_bag_unset", path);
+  const st = _ensureActive("session_bag_unset");
+  const parent = _parentOf(st.data, segs, false);
+  const last = segs[segs.length - 1];
+  if (!parent || !Object.prototype.hasOwnProperty.call(parent, last)) return false;
+  delete parent[last];
+  return true;
+}
+
+/**
+ * A namespaced view of the session: bag.get("user.id") reads "<namespace>.user.id".
+ * The root bag (namespace "") views the whole session.
+ * Methods resolve the session at call time, so one bag can be shared across requests.
+ */
+export class SessionBag {
+  /** @param {string} [namespace=""] */
+  constructor(namespace = "") {
+    /** @type {string[]} */
+    this.prefix = namespace === "" ? [] : _segments("session_bag", namespace);
+  }
+
+  /** @param {string|string[]} path @returns {string[]} */
+  _path(path) {
+    return [...this.prefix, ..._segments("SessionBag", path)];
+  }
+
+  /** @param {string|string[]} path @param {any} [defaultValue=null] @returns {any} */
+  get(path, defaultValue = null) {
+    return session_bag_get(this._path(path), defaultValue);
+  }
+
+  /** @param {string|string[]} path @param {any} value @returns {void} */
+  set(path, value) {
+    session_bag_set(this._path(path), value);
+  }
+
+  /** @param {string|string[]} path @returns {boolean} */
+  has(path) {
+    return session_bag_has(this._path(path));
+  }
+
+  /** @param {string|string[]} path @returns {boolean} */
+  remove(path) {
+    return session_bag_unset(this._path(path));
+  }
+
+  /** @returns {Record<string, any>} the whole namespace (empty object if unset) */
+  all() {
+    if (this.prefix.length === 0) return _ensureReadable("SessionBag.all").data;
+    return session_bag_get(this.prefix, {});
+  }
+}
+
+/**
+ * session_bag — Get a namespaced bag over the session (e.g. session_bag("auth")).
+ * @param {string} namespace dot path of the bag root ("" for the whole session)
+ * @returns {SessionBag}
+ */
+export function session_bag(namespace) {
+  assertArity("session_bag", arguments, 1, 1);
+  assertString("session_bag", 1, namespace);
+  return new SessionBag(namespace);
+}
+
+/**
+ * session_flash — Store a value for the next request only.
+ * It is readable (session_flash_get) during the rest of this request and the next one, then dropped.
+ * @param {string} key
+ * @param {any} value
+ * @returns {void}
+ */
+export function session_flash(key, value) {
+  assertArity("session_flash", arguments, 2, 2);
+  assertString("session_flash", 1, key);
+  const st = _ensureActive("session_flash");
+  if (!_isPlainObject(st.data[_FLASH_KEY])) st.data[_FLASH_KEY] = {};
+  st.data[_FLASH_KEY][key] = value;
+}
+
+/**
+ * session_flash_get — Read flash data (flashed in this request or received from the previous one).
+ * @param {string} key
+ * @param {any} [defaultValue=null]
+ * @returns {any}
+ */
+export function session_flash_get(key, defaultValue = null) {
+  assertArity("session_flash_get", arguments, 1, 2);
+  assertString("session_flash_get", 1, key);
+  const st = _ensureReadable("session_flash_get");
+  const next = st.data[_FLASH_KEY];
+  if (_isPlainObject(next) && Object.prototype.hasOwnProperty.call(next, key)) return next[key];
+  if (st.flash && Object.prototype.hasOwnProperty.call(st.flash, key)) return st.flash[key];
+  return defaultValue;
+}
+
+/**
+ * session_flash_keep — Keep flash data received from the previous request for one more request.
+ * @param {...string} keys keys to keep (all when omitted)
+ * @returns {void}
+ */
+export function session_flash_keep(...keys) {
+  const st = _ensureActive("session_flash_keep");
+  keys.forEach((k, i) => assertString("session_flash_keep", i + 1, k));
+  const received = st.flash ?? {};
+  const keep = keys.length ? keys.filter((k) => Object.prototype.hasOwnProperty.call(received, k)) : Object.keys(received);
+  if (keep.length === 0) return;
+  if (!_isPlainObject(st.data[_FLASH_KEY])) st.data[_FLASH_KEY] = {};
+  for (const k of keep) {
+    if (!Object.prototype.hasOwnProperty.call(st.data[_FLASH_KEY], k)) st.data[_FLASH_KEY][k] = received[k];
+  }
+}
 
 // -------------------------
 // Additional session parity helpers
@@ -436,6 +1334,7 @@ export function session_save_path(path) {
 
 /**
  * session_cache_limiter — Get and/or set the current cache limiter.
+ * session_start() turns it into Expires/Cache-Control/Pragma headers; "" sends none.
  * @see https://www.php.net/manual/en/function.session-cache-limiter.php
  * @param {string} [cacheLimiter]
  * @returns {string}
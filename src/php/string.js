@@ -5,6 +5,7 @@
 
 import { assertArity, assertBoolean, assertNumber, assertString, typeError } from "../internal/assert.js";
 import { htmlEntities } from "../internal/htmlEntities.js";
+import { writeOutput } from "../internal/output.js";
 
 // --- helpers ---
 
@@ -1692,8 +1693,7 @@ export function vsprintf(format, args) {
 }
 
 /**
- * printf — Output a formatted string.
- * In Node, we return the formatted string and optionally write to stdout.
+ * printf — Output a formatted string (to the active output buffer, the current response or stdout).
  * @see https://www.php.net/manual/en/function.printf.php
  * @param {string} format
  * @param  {...any} args
@@ -1702,8 +1702,7 @@ export function vsprintf(format, args) {
 export function printf(format, ...args) {
   assertArity("printf", arguments, 1, Infinity);
   const out = sprintf(format, ...args);
-  // keep side effects minimal: write if stdout exists
-  try { process?.stdout?.write?.(out); } catch {}
+  writeOutput(out);
   return Buffer.byteLength(out, "utf8");
 }
 
@@ -1717,6 +1716,6 @@ export function printf(format, ...args) {
 export function vprintf(format, args) {
   assertArity("vprintf", arguments, 2, 2);
   const out = vsprintf(format, args);
-  try { process?.stdout?.write?.(out); } catch {}
+  writeOutput(out);
   return Buffer.byteLength(out, "utf8");
 }
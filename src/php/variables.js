@@ -4,6 +4,7 @@
  */
 
 import { assertArity, assertArray, assertBoolean, assertNumber, assertObject, assertString, phpType, typeError } from "../internal/assert.js";
+import { writeOutput } from "../internal/output.js";
 
 /**
  * Returns true if value is an array.
@@ -180,25 +181,32 @@ export function strval(value) {
 }
 
 /**
- * PHP-like var_dump() formatting (returns string).
+ * PHP-like var_dump(): outputs the dump of each value (see ob_start()).
+ * Unlike PHP, it also returns the dump. Breaking: it used to only return it; use print_r(value, true)
+ * or capture it with ob_start()/ob_get_clean() where nothing may be written.
+ * @see https://www.php.net/manual/en/function.var-dump.php
  * @param  {...any} values
  * @returns {string}
  */
 export function var_dump(...values) {
   const out = [];
   for (const v of values) out.push(_dump(v, 0));
+  for (const s of out) writeOutput(`${s}\n`);
   return out.join("\n");
 }
 
 /**
- * PHP-like print_r() formatting (returns string).
+ * PHP-like print_r(): outputs the value (see ob_start()), or returns it with `returnOutput`.
+ * @see https://www.php.net/manual/en/function.print-r.php
  * @param {any} value
  * @param {boolean} [returnOutput=false]
  * @returns {string|true}
  */
 export function print_r(value, returnOutput = false) {
   const s = _print(value, 0);
-  return returnOutput ? s : (console.log(s), true);
+  if (returnOutput) return s;
+  writeOutput(s);
+  return true;
 }
 
 /**
@@ -1,4 +1,8 @@
-import { PHP, chain, JlivePHP } from "../index.js";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { PHP, chain, JlivePHP, expressSession, koaSession, fastifySession, httpSession } from "../index.js";
 
 function ok(label, cond) {
   if (!cond) throw new Error(`❌ ${label}`);
@@ -20,6 +24,34 @@ function eq(label, a, b) {
   console.log(`${label} -> ${a}`);
 }
 
+/**
+ * GET `paths` one after another over a single keep-alive connection, then close the server.
+ * @returns {Promise<{connections:number, bodies:string[]}>}
+ */
+async function keepAliveGets(server, paths) {
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+  const sockets = new Set();
+  try {
+    const bodies = [];
+    for (const p of paths) {
+      bodies.push(await new Promise((resolve, reject) => {
+        http.get({ host: "127.0.0.1", port: server.address().port, path: p, agent }, (res) => {
+          sockets.add(res.socket);
+          let body = "";
+          res.setEncoding("utf8");
+          res.on("data", (c) => (body += c));
+          res.on("end", () => resolve(body));
+        }).on("error", reject);
+      }));
+    }
+    return { connections: sockets.size, bodies };
+  } finally {
+    agent.destroy();
+    server.close();
+  }
+}
+
 console.log("=== jLive PHP Parity Smoke Tests ===");
 
 // ---- String
@@ -49,11 +81,1200 @@ eq("preg_match()", PHP.Preg.preg_match("/hello/i", "Hello world") === 1, true);
 
 // ---- serialize
 eq("serialize/unserialize string", PHP.Serialize.unserialize(PHP.Serialize.serialize("hi")), "hi");
+eq("unserialize() reads strings by UTF-8 length in linear time", (() => {
+  const values = Array.from({ length: 20000 }, (_, n) => `é${n}😀|"`);
+  const started = Date.now();
+  const back = PHP.Serialize.unserialize(PHP.Serialize.serialize(values));
+  const elapsed = Date.now() - started;
+  return [back.length, back[0], back[19999], back.every((v, n) => v === values[n]), elapsed < 2000];
+})(), [20000, 'é0😀|"', 'é19999😀|"', true, true]);
 
 // ---- crypto (bcrypt)
 const hash = PHP.Crypto.password_hash("secret", PHP.Crypto.PASSWORD_BCRYPT);
 eq("password_verify bcrypt", PHP.Crypto.password_verify("secret", hash), true);
 
+// ---- cookie
+const cookieRes = () => {
+  const h = {};
+  return { setHeader: (k, v) => { h[k.toLowerCase()] = v; }, getHeader: (k) => h[k.toLowerCase()], headers: h };
+};
+eq("setcookie options array and positional forms", (() => {
+  const res = cookieRes();
+  PHP.Cookie.setcookie("a", "x y", { path: "/", httponly: true, samesite: "Strict" }, res);
+  PHP.Cookie.setcookie("b", "1", 0, "/b", "", true, false, res, { samesite: "Lax" });
+  PHP.Cookie.setrawcookie("c", "a%20b", { secure: true }, res);
+  return res.headers["set-cookie"];
+})(), ["a=x%20y; Path=/; HttpOnly; SameSite=Strict", "b=1; Path=/b; Secure; SameSite=Lax", "c=a%20b; Secure"]);
+eq("setcookie rejects forbidden names, options and raw values", ["a=b", "a b", "a;b", "", "a\x01"].map((n) => {
+  try { return PHP.Cookie.setcookie(n, "v", {}, cookieRes()); } catch { return "err"; }
+}).concat([
+  (() => { try { return PHP.Cookie.setcookie("a", "v", { maxage: 1 }, cookieRes()); } catch { return "err"; } })(),
+  (() => { try { return PHP.Cookie.setrawcookie("a", "v;w", {}, cookieRes()); } catch { return "err"; } })(),
+  PHP.Cookie.setcookie("a[b]", "v;w", {}, cookieRes()),
+]), ["err", "err", "err", "err", "err", "err", "err", true]);
+
+eq("$_COOKIE PHP array names and name mangling", PHP.Cookie.$_COOKIE({ headers: {
+  cookie: "a[b]=1; a[c][]=2; a[c][]=3; list[]=x;list[]=y; my.name=v; my name2=w; open[x=z",
+} }), { a: { b: "1", c: ["2", "3"] }, list: ["x", "y"], my_name: "v", my_name2: "w", open_x: "z" });
+eq("$_COOKIE quoted values, tolerant decoding, first duplicate wins", PHP.Cookie.$_COOKIE({ headers: {
+  cookie: 'q="hello world"; bad=100%; pct=%E2%82%AC+1; dup=first; dup=second; flag; __proto__[x]=1',
+} }), JSON.parse('{"q":"hello world","bad":"100%","pct":"€+1","dup":"first","flag":"","__proto__":{"x":"1"}}'));
+
+eq("setcookie Partitioned, Priority and prefix rules", (() => {
+  const res = cookieRes();
+  PHP.Cookie.setcookie("__Host-w", "1", { secure: true, path: "/", partitioned: true, priority: "high" }, res);
+  const attempt = (name, opts) => {
+    try { return PHP.Cookie.setcookie(name, "1", opts, cookieRes()); } catch (e) { return /prefix|secure/.test(e.message) ? "err" : e.message; }
+  };
+  return [
+    res.headers["set-cookie"][0],
+    attempt("__Secure-a", { path: "/" }),
+    attempt("__secure-a", { secure: true }),
+    attempt("__Host-a", { secure: true, path: "/", domain: "example.com" }),
+    attempt("__Host-a", { secure: true, path: "/app" }),
+    attempt("w", { partitioned: true }),
+  ];
+})(), ["__Host-w=1; Path=/; Secure; Partitioned; Priority=High", "err", true, "err", "err", "err"]);
+eq("signed cookies verify, rotate keys and reject tampering or expiry", (() => {
+  const C = PHP.Cookie;
+  const res = cookieRes();
+  C.setcookie_signed("prefs", { theme: "dark" }, { path: "/" }, res, "old-key");
+  C.setcookie_signed("csrf", "t0k3n", { expires: Math.floor(Date.now() / 1000) - 1 }, res, "old-key");
+  const [prefs, csrf] = res.headers["set-cookie"].map((c) => c.split(";")[0]);
+  const read = (cookie, name, keys) => C.getcookie_signed({ headers: { cookie } }, name, keys);
+  const forged = prefs.replace(/=[^.]+/, `=${Buffer.from('{"v":{"theme":"x"},"e":0}').toString("base64url")}`);
+  return [
+    read(prefs, "prefs", ["new-key", "old-key"]),
+    read(prefs, "prefs", "new-key"),
+    read(forged, "prefs", "old-key"),
+    read(prefs.replace("prefs=", "other="), "other", "old-key"),
+    read(csrf, "csrf", "old-key"),
+    read("prefs=%%%", "prefs", "old-key"),
+  ];
+})(), [{ theme: "dark" }, null, null, null, null, null]);
+eq("encrypted cookies hide the value and reject tampering", (() => {
+  const C = PHP.Cookie;
+  const res = cookieRes();
+  C.setcookie_encrypted("sess", { uid: 7 }, { httponly: true }, res, ["k2", "k1"]);
+  const cookie = res.headers["set-cookie"][0].split(";")[0];
+  const value = cookie.slice("sess=".length);
+  const flipped = value.slice(0, -2) + (value.at(-2) === "A" ? "B" : "A") + value.at(-1);
+  const read = (c, keys) => C.getcookie_encrypted({ headers: { cookie: c } }, "sess", keys);
+  return [cookie.includes("uid"), read(cookie, ["k3", "k2"]), read(cookie, "k1"), read(`sess=${flipped}`, "k2"), read("sess=short", "k2")];
+})(), [false, { uid: 7 }, null, null, null]);
+eq("signed and encrypted cookies are found under names $_COOKIE mangles", (() => {
+  const C = PHP.Cookie;
+  const res = cookieRes();
+  C.setcookie_signed("user.prefs", "dark", {}, res, "k");
+  C.setcookie_encrypted("cart[items]", [1, 2], {}, res, "k");
+  const req = { headers: { cookie: res.headers["set-cookie"].map((c) => c.split(";")[0]).join("; ") } };
+  let appendName;
+  try {
+    C.setcookie_signed("list[]", "x", {}, res, "k");
+  } catch (e) {
+    appendName = e instanceof TypeError;
+  }
+  return [Object.keys(C.$_COOKIE(req)), C.getcookie_signed(req, "user.prefs", "k"), C.getcookie_signed(req, "user_prefs", "k"), C.getcookie_encrypted(req, "cart[items]", "k"), appendName];
+})(), [["user_prefs", "cart"], "dark", null, [1, 2], true]);
+
+eq("CookieJar domain, path, secure and expiry matching", (() => {
+  const jar = new PHP.Cookie.CookieJar();
+  const from = "https://www.example.com/app/login";
+  jar.setCookie("sid=1; Path=/; HttpOnly", from);
+  jar.setCookie("pref=a; Domain=.example.com; Path=/app", from);
+  jar.setCookie("tok=s; Secure", from);
+  jar.setCookie("gone=1; Max-Age=0", from);
+  jar.setCookie("old=1; Expires=Thu, 01 Jan 1970 00:00:01 GMT", from);
+  jar.setCookie("evil=1; Domain=other.com", from);
+  jar.setCookie("tld=1; Domain=com", from);
+  jar.setCookie("__Host-x=1; Path=/app", from);
+  return [
+    jar.getCookieHeader("https://www.example.com/app/x"),
+    jar.getCookieHeader("http://www.example.com/app/x"),
+    jar.getCookieHeader("https://api.example.com/app"),
+    jar.getCookieHeader("https://api.example.com/application"),
+    jar.getCookieHeader("https://example.org/"),
+  ];
+})(), ["pref=a; tok=s; sid=1", "pref=a; sid=1", "pref=a", "", ""]);
+eq("CookieJar carries cookies across redirects and round-trips Netscape files", await (async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url === "/login") {
+      res.writeHead(302, { location: "/home", "set-cookie": ["sid=abc; Path=/; HttpOnly", `keep=1; Path=/; Max-Age=3600`] });
+      return res.end();
+    }
+    res.end(req.headers.cookie ?? "");
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const file = path.join(os.tmpdir(), `jlive-jar-${process.pid}.txt`);
+  try {
+    const jar = new PHP.Cookie.CookieJar();
+    const body = await (await jar.fetch(`${base}/login`)).text();
+    await jar.save(file);
+    const saved = await fs.readFile(file, "utf8");
+    const loaded = await PHP.Cookie.CookieJar.load(file);
+    const headers = await PHP.Network.get_headers(`${base}/home`, 1, { cookie_jar: loaded });
+    return [body, saved.startsWith("# Netscape HTTP Cookie File"), saved.includes("#HttpOnly_127.0.0.1\tFALSE\t/\tFALSE\t0\tsid\tabc"),
+      loaded.getCookieHeader(`${base}/`), Boolean(headers), (await PHP.Cookie.CookieJar.load(`${file}.missing`)).all().length];
+  } finally {
+    server.close();
+    await fs.rm(file, { force: true });
+  }
+})(), ["sid=abc; keep=1", true, true, "sid=abc; keep=1", true, 0]);
+
+eq("CookieJar.fetch() drops credentials on cross-origin redirects", await (async () => {
+  const seen = [];
+  const other = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      seen.push([req.method, req.headers.authorization ?? null, req.headers["proxy-authorization"] ?? null, req.headers.cookie ?? null, req.headers["x-keep"] ?? null, body]);
+      res.end("ok");
+    });
+  });
+  await new Promise((r) => other.listen(0, "127.0.0.1", r));
+  const otherBase = `http://127.0.0.1:${other.address().port}`;
+  const server = http.createServer((req, res) => {
+    if (req.url === "/same") {
+      res.writeHead(302, { location: "/echo" });
+      return res.end();
+    }
+    if (req.url === "/echo") return res.end(req.headers.authorization ?? "");
+    const [, status] = /^\/away\/(\d+)$/.exec(req.url) ?? [];
+    res.writeHead(Number(status), { location: `${otherBase}/landing` });
+    res.end();
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const secrets = { authorization: "Bearer s3cret", "proxy-authorization": "Basic cHJveHk=", cookie: "mine=1", "x-keep": "yes" };
+  try {
+    const jar = new PHP.Cookie.CookieJar();
+    const same = await (await jar.fetch(`${base}/same`, { headers: secrets })).text();
+    const get = await jar.fetch(`${base}/away/302`, { headers: secrets });
+    const post = await jar.fetch(`${base}/away/303`, { method: "POST", headers: { ...secrets, "content-type": "text/plain" }, body: "data" });
+    const kept = await jar.fetch(`${base}/away/307`, { method: "POST", headers: secrets, body: "data" });
+    return [same, get.status, post.status, kept.status, kept.headers.get("location") === `${otherBase}/landing`, seen];
+  } finally {
+    server.close();
+    other.close();
+  }
+})(), [
+  "Bearer s3cret", 200, 200, 307, true,
+  [["GET", null, null, null, "yes", ""], ["GET", null, null, null, "yes", ""]],
+]);
+// ---- request superglobals
+eq("$_GET PHP array semantics", PHP.Request.$_GET({ url: "/p?a[]=1&a[]=2&b[x]=3&b[y][]=4&c.d=5&e=%zz&e=last&f+g=h+i" }),
+  { a: ["1", "2"], b: { x: "3", y: ["4"] }, c_d: "5", e: "last", f_g: "h i" });
+eq("$_POST, $_REQUEST and $_SERVER over http", await (async () => {
+  const R = PHP.Request;
+  const server = http.createServer(async (req, res) => {
+    const out = { post: await R.$_POST(req), request: await R.$_REQUEST(req), server: R.$_SERVER(req) };
+    PHP.Info.ini_set("request_order", "PGC");
+    out.reordered = (await R.$_REQUEST(req)).id;
+    PHP.Info.ini_restore("request_order");
+    out.cached = (await R.$_POST(req)) === out.post;
+    res.end(JSON.stringify(out));
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = (path, init) => fetch(`${base}${path}`, init).then((r) => r.json());
+  try {
+    const form = await call("/submit?id=get&q=1", {
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded", cookie: "id=cookie", "x-trace-id": "t1", authorization: `Basic ${Buffer.from("ann:pw:x").toString("base64")}` },
+      body: "id=post&tags[]=a&tags[]=b&user[name]=Ann",
+    });
+    const json = await call("/api", { method: "POST", headers: { "content-type": "application/json" }, body: '{"n":[1,2]}' });
+    const put = await call("/api", { method: "PUT", headers: { "content-type": "application/json" }, body: '{"n":1}' });
+    PHP.Info.ini_set("post_max_size", "8");
+    const big = await call("/big", { method: "POST", headers: { "content-type": "application/x-www-form-urlencoded" }, body: "a=123456789" });
+    PHP.Info.ini_restore("post_max_size");
+    const sv = form.server;
+    return [
+      form.post, form.request, form.reordered, form.cached, json.post, put.post, big.post,
+      [sv.REQUEST_METHOD, sv.REQUEST_URI, sv.QUERY_STRING, sv.PHP_SELF, sv.REMOTE_ADDR, sv.HTTPS ?? null, sv.HTTP_X_TRACE_ID, sv.CONTENT_TYPE, sv.PHP_AUTH_USER, sv.PHP_AUTH_PW, typeof sv.REQUEST_TIME],
+    ];
+  } finally {
+    server.close();
+  }
+})(), [
+  { id: "post", tags: ["a", "b"], user: { name: "Ann" } },
+  { id: "post", q: "1", tags: ["a", "b"], user: { name: "Ann" } },
+  "cookie",
+  true,
+  { n: [1, 2] },
+  {},
+  {},
+  ["POST", "/submit?id=get&q=1", "id=get&q=1", "/submit", "127.0.0.1", null, "t1", "application/x-www-form-urlencoded", "ann", "pw:x", "number"],
+]);
+eq("multipart $_POST/$_FILES, limits and move_uploaded_file", await (async () => {
+  const R = PHP.Request;
+  const dest = path.join(os.tmpdir(), `jlive-upload-${process.pid}.txt`);
+  let tmpNames = [];
+  const server = http.createServer(async (req, res) => {
+    PHP.Header.response_bind(req, res); // lets the uploads go as soon as the response closes
+    const post = await R.$_POST(req);
+    const files = await R.$_FILES(req);
+    const doc = files.doc;
+    tmpNames = [doc?.tmp_name, ...(files.pics?.tmp_name ?? [])].filter(Boolean);
+    const moved = doc ? [PHP.File.is_uploaded_file(doc.tmp_name), PHP.File.move_uploaded_file(doc.tmp_name, dest), PHP.File.is_uploaded_file(doc.tmp_name)] : [];
+    res.end(JSON.stringify({ post, files, moved, bogus: PHP.File.move_uploaded_file(import.meta.filename ?? "/etc/hosts", dest) }));
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const url = `http://127.0.0.1:${server.address().port}/upload`;
+  const boundary = "----jliveBoundary42";
+  const part = (disposition, body, type) =>
+    `--${boundary}\r\nContent-Disposition: form-data; ${disposition}\r\n${type ? `Content-Type: ${type}\r\n` : ""}\r\n${body}\r\n`;
+  const send = (body) => fetch(url, { method: "POST", headers: { "content-type": `multipart/form-data; boundary=${boundary}` }, body }).then((r) => r.json());
+  try {
+    PHP.Info.ini_set("upload_max_filesize", "10");
+    PHP.Info.ini_set("max_file_uploads", "3");
+    const out = await send("preamble\r\n"
+      + part('name="user[name]"', "Ann")
+      + part('name="tags[]"', "a")
+      + part('name="tags[]"', "b\r\nc")
+      + part('name="doc"; filename="C:\\docs\\notes.txt"', "hello\r\n--x", "text/plain")
+      + part('name="pics[]"; filename="big.png"', "0123456789ABC", "image/png")
+      + part('name="pics[]"; filename=""', "", "application/octet-stream")
+      + part('name="pics[]"; filename="ok.png"', "png", "image/png")
+      + part('name="extra"; filename="skipped.txt"', "over max_file_uploads", "text/plain")
+      + `--${boundary}--\r\nepilogue`);
+    PHP.Info.ini_restore("upload_max_filesize");
+    PHP.Info.ini_restore("max_file_uploads");
+    await new Promise((r) => setTimeout(r, 50));
+    const left = await Promise.all(tmpNames.map((f) => fs.access(f).then(() => true, () => false)));
+    const pics = out.files.pics;
+    return [
+      out.post,
+      [out.files.doc.name, out.files.doc.full_path, out.files.doc.type, out.files.doc.error, out.files.doc.size],
+      [pics.name, pics.error, pics.size, pics.tmp_name.map(Boolean)],
+      "extra" in out.files,
+      out.moved,
+      out.bogus,
+      await fs.readFile(dest, "utf8"),
+      left,
+      [R.UPLOAD_ERR_OK, R.UPLOAD_ERR_INI_SIZE, R.UPLOAD_ERR_NO_FILE],
+    ];
+  } finally {
+    server.close();
+    await fs.rm(dest, { force: true });
+  }
+})(), [
+  { user: { name: "Ann" }, tags: ["a", "b\r\nc"] },
+  ["notes.txt", "C:\\docs\\notes.txt", "text/plain", 0, 10],
+  [["big.png", "", "ok.png"], [1, 4, 0], [0, 0, 3], [false, false, true]],
+  false,
+  [true, true, false],
+  false,
+  "hello\r\n--x",
+  [false, false],
+  [0, 1, 4],
+]);
+eq("upload temp files are removed without req.res", await (async () => {
+  const R = PHP.Request;
+  const { EventEmitter } = await import("node:events");
+  const boundary = "b43";
+  const upload = (socket) => Object.assign({
+    method: "POST",
+    headers: { "content-type": `multipart/form-data; boundary=${boundary}` },
+    socket,
+    async *[Symbol.asyncIterator]() {
+      yield Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="f"; filename="a.txt"\r\n\r\nhi\r\n--${boundary}--\r\n`);
+    },
+  });
+  const exists = (f) => fs.access(f).then(() => true, () => false);
+  const settle = () => new Promise((r) => setTimeout(r, 20));
+  // a raw request (Koa's ctx.req, Fastify's request.raw): cleaned up when its connection closes
+  const socket = new EventEmitter();
+  const [a, b] = [upload(socket), upload(socket)];
+  const files = [(await R.$_FILES(a)).f.tmp_name, (await R.$_FILES(b)).f.tmp_name];
+  const before = await Promise.all(files.map(exists));
+  socket.emit("close");
+  await settle();
+  const after = await Promise.all(files.map(exists));
+  // a response bound with response_bind(): cleaned up when it closes
+  const bound = await (async () => {
+    const res = Object.assign(new EventEmitter(), { setHeader() {}, getHeader() {} });
+    const req = upload(null);
+    PHP.Header.response_bind(req, res);
+    const tmp = (await R.$_FILES(req)).f.tmp_name;
+    const kept = await exists(tmp);
+    res.emit("close");
+    await settle();
+    return [kept, await exists(tmp), PHP.File.is_uploaded_file(tmp)];
+  })();
+  return [before, after, socket.listenerCount("close"), bound];
+})(), [[true, true], [false, false], 0, [true, false, false]]);
+eq("max_input_vars and max_input_nesting_level", await (async () => {
+  const R = PHP.Request;
+  const boundary = "b42";
+  const multipart = (fields) => ({
+    method: "POST",
+    headers: { "content-type": `multipart/form-data; boundary=${boundary}` },
+    async *[Symbol.asyncIterator]() {
+      yield Buffer.from(fields.map(([n, v]) => `--${boundary}\r\nContent-Disposition: form-data; name="${n}"\r\n\r\n${v}\r\n`).join("") + `--${boundary}--\r\n`);
+    },
+  });
+  const form = (body) => ({ method: "POST", headers: { "content-type": "application/x-www-form-urlencoded" }, body });
+  // `[]` appends must not rescan the array (this took minutes when they did)
+  PHP.Info.ini_set("max_input_vars", "100000");
+  const started = Date.now();
+  const appended = R.$_GET({ url: `/?${"a[]=1&".repeat(100000)}` }).a.length;
+  const fast = Date.now() - started < 2000;
+  PHP.Info.ini_restore("max_input_vars");
+  const capped = R.$_GET({ url: `/?${Array.from({ length: 1500 }, (_, i) => `v${i}=1`).join("&")}` });
+  PHP.Info.ini_set("max_input_vars", "2");
+  const small = [Object.keys(await R.$_POST(form("a=1&b=2&c=3"))), Object.keys(await R.$_POST(multipart([["a", 1], ["b", 2], ["c", 3]])))];
+  PHP.Info.ini_restore("max_input_vars");
+  const deep = (n) => `a${"[b]".repeat(n)}`;
+  const nested = R.$_GET({ url: `/?${deep(64)}=kept&${deep(65)}=dropped&x=1` });
+  let depth = 0;
+  for (let v = nested.a; v && typeof v === "object"; v = v.b) depth++;
+  const huge = await R.$_REQUEST(form(`${deep(100000)}=x&ok=1`));
+  const fromMultipart = await R.$_POST(multipart([[deep(65), "dropped"], ["ok", "1"]]));
+  const cookies = PHP.Cookie.$_COOKIE({ headers: { cookie: `${deep(65)}=1; ok=1` } });
+  PHP.Info.ini_set("max_input_nesting_level", "1");
+  const shallow = R.$_GET({ url: "/?a[b]=1&c[d][e]=2" });
+  PHP.Info.ini_restore("max_input_nesting_level");
+  return [appended, fast, Object.keys(capped).length, capped.v999, capped.v1000 ?? null, small, depth, huge, fromMultipart, cookies, shallow];
+})(), [
+  100000, true, 1000, "1", null, [["a", "b"], ["a", "b"]], 64, { ok: "1" }, { ok: "1" }, { ok: "1" }, { a: { b: "1" } },
+]);
+eq("ini_set() rejects bad request_order / post_max_size", [PHP.Info.ini_set("request_order", "GX"), PHP.Info.ini_set("post_max_size", "8 MB")], [false, false]);
+
+// ---- filter
+eq("filter_var() validation filters match PHP", (() => {
+  const F = PHP.Filter;
+  const v = (value, filter, options) => F.filter_var(value, filter, options);
+  return [
+    [v("123", F.FILTER_VALIDATE_INT), v(" 42\n", F.FILTER_VALIDATE_INT), v("012", F.FILTER_VALIDATE_INT), v("1.0", F.FILTER_VALIDATE_INT), v(true, F.FILTER_VALIDATE_INT)],
+    [v("0x1A", F.FILTER_VALIDATE_INT, F.FILTER_FLAG_ALLOW_HEX), v("0755", F.FILTER_VALIDATE_INT, F.FILTER_FLAG_ALLOW_OCTAL), v("0x1A", F.FILTER_VALIDATE_INT)],
+    [v("5", F.FILTER_VALIDATE_INT, { options: { min_range: 1, max_range: 4 } }), v("5", F.FILTER_VALIDATE_INT, { options: { min_range: 1, max_range: 4, default: 1 } })],
+    [v("yes", F.FILTER_VALIDATE_BOOL), v("Off", F.FILTER_VALIDATE_BOOLEAN), v("maybe", F.FILTER_VALIDATE_BOOL), v("maybe", F.FILTER_VALIDATE_BOOL, F.FILTER_NULL_ON_FAILURE), v("", F.FILTER_VALIDATE_BOOL, F.FILTER_NULL_ON_FAILURE)],
+    [v("1.5", F.FILTER_VALIDATE_FLOAT), v("1e3", F.FILTER_VALIDATE_FLOAT), v("1,000.5", F.FILTER_VALIDATE_FLOAT), v("1,000.5", F.FILTER_VALIDATE_FLOAT, F.FILTER_FLAG_ALLOW_THOUSAND), v("1,00", F.FILTER_VALIDATE_FLOAT, F.FILTER_FLAG_ALLOW_THOUSAND), v("3,14", F.FILTER_VALIDATE_FLOAT, { options: { decimal: "," } })],
+    [v("abc", F.FILTER_VALIDATE_REGEXP, { options: { regexp: "/^a/" } }), v("xbc", F.FILTER_VALIDATE_REGEXP, { options: { regexp: /^a/ } })],
+    [v("example.com", F.FILTER_VALIDATE_DOMAIN, F.FILTER_FLAG_HOSTNAME), v("ex_ample.com", F.FILTER_VALIDATE_DOMAIN), v("ex_ample.com", F.FILTER_VALIDATE_DOMAIN, F.FILTER_FLAG_HOSTNAME), v("-a.com", F.FILTER_VALIDATE_DOMAIN, F.FILTER_FLAG_HOSTNAME)],
+    [v("https://example.com/a?b", F.FILTER_VALIDATE_URL), v("example.com", F.FILTER_VALIDATE_URL), v("http://exa mple.com", F.FILTER_VALIDATE_URL), v("mailto:joe@example.com", F.FILTER_VALIDATE_URL), v("http://example.com", F.FILTER_VALIDATE_URL, F.FILTER_FLAG_PATH_REQUIRED), v("http://example.com/?q", F.FILTER_VALIDATE_URL, F.FILTER_FLAG_QUERY_REQUIRED)],
+    [v("joe@example.com", F.FILTER_VALIDATE_EMAIL), v("joe@localhost", F.FILTER_VALIDATE_EMAIL), v("joe.@example.com", F.FILTER_VALIDATE_EMAIL), v("用户@example.com", F.FILTER_VALIDATE_EMAIL), v("用户@example.com", F.FILTER_VALIDATE_EMAIL, F.FILTER_FLAG_EMAIL_UNICODE)],
+    [v("01-23-45-67-89-ab", F.FILTER_VALIDATE_MAC), v("0123.4567.89ab", F.FILTER_VALIDATE_MAC), v("01:23:45:67:89:ab", F.FILTER_VALIDATE_MAC, { options: { separator: "-" } })],
+    [v(["1", "x"], F.FILTER_VALIDATE_INT, F.FILTER_REQUIRE_ARRAY), v("1", F.FILTER_VALIDATE_INT, F.FILTER_FORCE_ARRAY), v(["1"], F.FILTER_VALIDATE_INT)],
+    [F.filter_id("validate_email"), F.filter_list().includes("validate_mac")],
+  ];
+})(), [
+  [123, 42, false, false, 1],
+  [26, 493, false],
+  [false, 1],
+  [true, false, false, null, false],
+  [1.5, 1000, false, 1000.5, false, 3.14],
+  ["abc", false],
+  ["example.com", "ex_ample.com", false, false],
+  ["https://example.com/a?b", false, false, "mailto:joe@example.com", false, "http://example.com/?q"],
+  ["joe@example.com", false, false, false, "用户@example.com"],
+  ["01-23-45-67-89-ab", "0123.4567.89ab", false],
+  [[1, false], [1], false],
+  [274, true],
+]);
+eq("filter_var() sanitizers and FILTER_CALLBACK match PHP", (() => {
+  const F = PHP.Filter;
+  const v = (value, filter, options) => F.filter_var(value, filter, options);
+  return [
+    v("<b>Hi</b> \"you\" & 'me'", F.FILTER_SANITIZE_STRING),
+    v("<b>Hé</b>\x01", F.FILTER_SANITIZE_STRING, F.FILTER_FLAG_STRIP_LOW | F.FILTER_FLAG_STRIP_HIGH),
+    v("<br>", F.FILTER_SANITIZE_STRING, F.FILTER_FLAG_EMPTY_STRING_NULL),
+    v("a b/é", F.FILTER_SANITIZE_ENCODED),
+    v("<a href='x'>&\x07", F.FILTER_SANITIZE_SPECIAL_CHARS),
+    v("<p title=\"x\">&amp; é", F.FILTER_SANITIZE_FULL_SPECIAL_CHARS),
+    v("'q'", F.FILTER_SANITIZE_FULL_SPECIAL_CHARS, F.FILTER_FLAG_NO_ENCODE_QUOTES),
+    v("a&b\x01é", F.FILTER_UNSAFE_RAW, F.FILTER_FLAG_ENCODE_AMP | F.FILTER_FLAG_ENCODE_LOW | F.FILTER_FLAG_ENCODE_HIGH),
+    v("a`b", F.FILTER_DEFAULT, F.FILTER_FLAG_STRIP_BACKTICK),
+    v("(bob)@exa mple.cöm", F.FILTER_SANITIZE_EMAIL),
+    v("http://exa mple.com/ä", F.FILTER_SANITIZE_URL),
+    v("a-1+2.5e3,0", F.FILTER_SANITIZE_NUMBER_INT),
+    v("a-1+2.5e3,0", F.FILTER_SANITIZE_NUMBER_FLOAT),
+    v("a-1+2.5e3,0", F.FILTER_SANITIZE_NUMBER_FLOAT, F.FILTER_FLAG_ALLOW_FRACTION | F.FILTER_FLAG_ALLOW_THOUSAND | F.FILTER_FLAG_ALLOW_SCIENTIFIC),
+    v("O'Reilly", F.FILTER_SANITIZE_ADD_SLASHES),
+    v(["a", ["b"]], F.FILTER_CALLBACK, { options: (s) => s.toUpperCase() }),
+    v(7, F.FILTER_CALLBACK, { options: (s) => typeof s }),
+  ];
+})(), [
+  "Hi &#34;you&#34; & &#39;me&#39;", "H", null, "a%20b%2F%C3%A9", "&#60;a href=&#39;x&#39;&#62;&#38;&#7;",
+  "&lt;p title=&quot;x&quot;&gt;&amp; &eacute;", "'q'", "a&#38;b&#1;&#195;&#169;", "ab",
+  "bob@example.cm", "http://example.com/", "-1+2530", "-1+2530", "-1+2.5e3,0", "O\\'Reilly",
+  ["A", ["B"]], "string",
+]);
+eq("parse_url() matches PHP and http_build_url() rebuilds its parts", (() => {
+  const N = PHP.Network;
+  const urls = ["https://u:p@example.com:8080/a/b?x=1&y[]=2#top", "//example.com/path", "/path?x=1", "host:8080", "mailto:bob@example.com",
+    "file:///etc/hosts", "http://[::1]:80/", "?q", "x:", "http://h/a\tb"];
+  let err = "";
+  try { N.parse_url("x", 8); } catch (e) { err = e.message; }
+  return [
+    urls.map((u) => N.parse_url(u)),
+    [N.parse_url("http:///x"), N.parse_url("http://h:65536"), N.parse_url(":80"), N.parse_url("http://:80")],
+    [N.parse_url("//h:81/p", N.PHP_URL_PORT), N.parse_url("/p", N.PHP_URL_HOST), N.parse_url("http:///x", N.PHP_URL_PATH), err],
+    urls.slice(0, 9).map((u) => N.http_build_url(N.parse_url(u))),
+    [N.http_build_url("http://a.com/x?y=1", { scheme: "https", query: null }), N.http_build_url({ host: "h", path: "p", user: "", pass: "s" }), N.http_build_url("http:///x")],
+  ];
+})(), [
+  [
+    { scheme: "https", host: "example.com", port: 8080, user: "u", pass: "p", path: "/a/b", query: "x=1&y[]=2", fragment: "top" },
+    { host: "example.com", path: "/path" },
+    { path: "/path", query: "x=1" },
+    { host: "host", port: 8080 },
+    { scheme: "mailto", path: "bob@example.com" },
+    { scheme: "file", path: "/etc/hosts" },
+    { scheme: "http", host: "[::1]", port: 80, path: "/" },
+    { query: "q" },
+    { scheme: "x" },
+    { scheme: "http", host: "h", path: "/a_b" },
+  ],
+  [false, false, false, false],
+  [81, null, false, "Warning: parse_url() Argument #2 ($component) must be a valid URL component identifier, 8 given"],
+  ["https://u:p@example.com:8080/a/b?x=1&y[]=2#top", "//example.com/path", "/path?x=1", "//host:8080", "mailto:bob@example.com",
+    "file:///etc/hosts", "http://[::1]:80/", "?q", "x:"],
+  ["https://a.com/x", "//:s@h/p", false],
+]);
+eq("FILTER_VALIDATE_IP families and range flags match PHP", (() => {
+  const F = PHP.Filter;
+  const v = (ip, flags = 0) => F.filter_var(ip, F.FILTER_VALIDATE_IP, flags);
+  return [
+    v("192.168.0.1"), v("01.2.3.4"), v("1.2.3"), v("2001:db8::1"), v("::ffff:10.0.0.1"), v("1:2"), v("1::2::3"), v("fe80::1%eth0"),
+    v("::1", F.FILTER_FLAG_IPV4), v("1.2.3.4", F.FILTER_FLAG_IPV6), v("::1", F.FILTER_FLAG_IPV4 | F.FILTER_FLAG_IPV6),
+    v("172.31.0.1", F.FILTER_FLAG_NO_PRIV_RANGE), v("172.32.0.1", F.FILTER_FLAG_NO_PRIV_RANGE), v("fc00::1", F.FILTER_FLAG_NO_PRIV_RANGE),
+    v("169.254.1.1", F.FILTER_FLAG_NO_RES_RANGE), v("10.0.0.1", F.FILTER_FLAG_NO_RES_RANGE), v("::1", F.FILTER_FLAG_NO_RES_RANGE),
+    v("10.0.0.1", F.FILTER_FLAG_GLOBAL_RANGE), v("198.51.100.7", F.FILTER_FLAG_GLOBAL_RANGE), v("2001:db8::1", F.FILTER_FLAG_GLOBAL_RANGE),
+    v("8.8.8.8", F.FILTER_FLAG_GLOBAL_RANGE), v("2606:4700::1111", F.FILTER_FLAG_GLOBAL_RANGE),
+  ];
+})(), [
+  "192.168.0.1", false, false, "2001:db8::1", "::ffff:10.0.0.1", false, false, false,
+  false, false, "::1", false, "172.32.0.1", false, false, "10.0.0.1", false, false, false, false,
+  "8.8.8.8", "2606:4700::1111",
+]);
+eq("inet_pton() is strict and inet_ntop() compresses like the C library", (() => {
+  const N = PHP.Network;
+  return [
+    ...["::", "::1", "1:0:0:2::3", "::ffff:1.2.3.4", "2001:DB8:0:0:1:0:0:1"].map((a) => N.inet_ntop(N.inet_pton(a))),
+    N.inet_pton("1:2"), N.inet_pton("1.2.3.04"), N.inet_pton(" 1.2.3.4"), N.inet_pton("::1:2:3:4:5:6:7:8"),
+  ];
+})(), ["::", "::1", "1:0:0:2::3", "::ffff:1.2.3.4", "2001:db8::1:0:0:1", false, false, false, false]);
+eq("ip_in_subnet(), subnet_parse() and subnet_range()", (() => {
+  const N = PHP.Network;
+  let err = "";
+  try { N.ip_in_subnet("1.2.3.4", ["10.0.0.0/8", "10.0.0.0/33"]); } catch (e) { err = e.message; }
+  return [
+    N.ip_in_subnet("10.9.8.7", "10.0.0.0/8"), N.ip_in_subnet("11.0.0.1", "10.0.0.0/8"),
+    N.ip_in_subnet("::ffff:127.0.0.1", ["10.0.0.0/8", "127.0.0.0/8"]), N.ip_in_subnet("2001:db8:1::5", "2001:db8::/32"),
+    N.ip_in_subnet("127.0.0.1", "::1/128"), N.ip_in_subnet("nope", "0.0.0.0/0"), N.ip_in_subnet("1.2.3.4", "1.2.3.4"), err,
+    N.subnet_parse("192.168.1.77/20"), N.subnet_parse("2001:db8::1/64").last, N.subnet_parse("1.2.3.4/33"),
+    [...N.subnet_range("10.0.0.254/31")], [...N.subnet_range("::/126")], N.subnet_range("fe80::/10").next().value,
+  ];
+})(), [
+  true, false, true, true, false, false, true, 'Warning: ip_in_subnet() expects parameter 2 to be a valid CIDR subnet, "10.0.0.0/33" given',
+  { family: 4, network: "192.168.0.0", prefix: 20, netmask: "255.255.240.0", first: "192.168.0.0", last: "192.168.15.255" },
+  "2001:db8::ffff:ffff:ffff:ffff", false, ["10.0.0.254", "10.0.0.255"], ["::", "::1", "::2", "::3"], "fe80::",
+]);
+eq("filter_var_array() definitions and filter_var_array_report()", (() => {
+  const F = PHP.Filter;
+  const data = { id: "42", email: "x@", ids: ["1", "x"], one: "5", list: ["1"], on: "no", age: "7" };
+  const { values: out, errors } = F.filter_var_array_report(data, {
+    id: F.FILTER_VALIDATE_INT,
+    email: F.FILTER_VALIDATE_EMAIL,
+    ids: { filter: F.FILTER_VALIDATE_INT, flags: F.FILTER_REQUIRE_ARRAY },
+    one: { filter: F.FILTER_VALIDATE_INT, flags: F.FILTER_FORCE_ARRAY },
+    list: F.FILTER_VALIDATE_INT,
+    on: F.FILTER_VALIDATE_BOOL,
+    age: { filter: F.FILTER_VALIDATE_INT, flags: F.FILTER_REQUIRE_ARRAY },
+    nick: { filter: F.FILTER_DEFAULT },
+    level: { filter: F.FILTER_VALIDATE_INT, options: { min_range: 1, default: 1 } },
+  });
+  const plain = F.filter_var_array(data, { email: F.FILTER_VALIDATE_EMAIL, nick: F.FILTER_DEFAULT });
+  const all = F.filter_var_array({ a: "1", b: ["2", "x"] }, F.FILTER_VALIDATE_INT);
+  const noEmpty = F.filter_var_array({ a: "1" }, { a: F.FILTER_VALIDATE_INT, b: F.FILTER_VALIDATE_INT }, false);
+  return [out, errors.map((e) => [e.field, e.path.join("."), e.reason, e.filter, e.value ?? null]), plain, all, noEmpty];
+})(), [
+  { id: 42, email: false, ids: [1, false], one: [5], list: false, on: false, age: false, nick: null, level: null },
+  [
+    ["email", "email", "invalid", "validate_email", "x@"],
+    ["ids", "ids.1", "invalid", "int", "x"],
+    ["list", "list", "scalar_expected", "int", ["1"]],
+    ["age", "age", "array_expected", "int", "7"],
+    ["nick", "nick", "missing", "unsafe_raw", null],
+    ["level", "level", "missing", "int", null],
+  ],
+  { email: false, nick: null },
+  { a: 1, b: [2, false] },
+  { a: 1 },
+]);
+eq("filter_input(), filter_input_array() and filter_has_var() over http", await (async () => {
+  const F = PHP.Filter;
+  let seen;
+  const server = http.createServer(async (req, res) => {
+    PHP.Header.response_bind(req, res);
+    seen = [
+      await F.filter_input(F.INPUT_GET, "ip", F.FILTER_VALIDATE_IP),
+      await F.filter_input(F.INPUT_GET, "bad", F.FILTER_VALIDATE_IP),
+      await F.filter_input(F.INPUT_GET, "bad", F.FILTER_VALIDATE_IP, F.FILTER_NULL_ON_FAILURE),
+      await F.filter_input(F.INPUT_GET, "missing"),
+      await F.filter_input(F.INPUT_GET, "missing", F.FILTER_DEFAULT, { flags: F.FILTER_NULL_ON_FAILURE }),
+      await F.filter_input(F.INPUT_GET, "tags"),
+      await F.filter_input(F.INPUT_POST, "email", F.FILTER_VALIDATE_EMAIL),
+      await F.filter_input(F.INPUT_COOKIE, "sid"),
+      await F.filter_input(F.INPUT_SERVER, "REQUEST_METHOD"),
+      await F.filter_input_array(F.INPUT_GET, {
+        ip: F.FILTER_VALIDATE_IP,
+        bad: { filter: F.FILTER_VALIDATE_IP, flags: F.FILTER_NULL_ON_FAILURE },
+        tags: { flags: F.FILTER_REQUIRE_ARRAY },
+        one: { flags: F.FILTER_FORCE_ARRAY },
+        absent: F.FILTER_VALIDATE_URL,
+      }),
+      await F.filter_input_array(F.INPUT_GET, { ip: F.FILTER_DEFAULT, absent: F.FILTER_DEFAULT }, false),
+      [await F.filter_has_var(F.INPUT_POST, "email"), await F.filter_has_var(F.INPUT_POST, "nope"), await F.filter_has_var(F.INPUT_COOKIE, "sid")],
+    ];
+    res.end();
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  try {
+    await fetch(`http://127.0.0.1:${server.address().port}/?ip=10.0.0.1&bad=999.1.1.1&tags[]=a&tags[]=b&one=x`, {
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded", cookie: "sid=abc" },
+      body: "email=ann%40example.com",
+    });
+    return seen;
+  } finally {
+    server.close();
+  }
+})(), [
+  "10.0.0.1", false, null, null, false, false, "ann@example.com", "abc", "POST",
+  { ip: "10.0.0.1", bad: null, tags: ["a", "b"], one: ["x"], absent: null },
+  { ip: "10.0.0.1" },
+  [true, false, true],
+]);
+eq("filter_input() outside a request and INPUT_ENV", await (async () => {
+  const F = PHP.Filter;
+  process.env.JLIVE_FILTER_TEST = "1";
+  const out = [await F.filter_input(F.INPUT_GET, "x"), await F.filter_input_array(F.INPUT_POST), await F.filter_has_var(F.INPUT_ENV, "JLIVE_FILTER_TEST"), await F.filter_input(F.INPUT_ENV, "JLIVE_FILTER_TEST")];
+  delete process.env.JLIVE_FILTER_TEST;
+  return out;
+})(), [null, null, true, "1"]);
+eq("filter_input() does not read the previous request on a keep-alive connection", await (async () => {
+  const F = PHP.Filter;
+  const server = http.createServer(async (req, res) => {
+    if (req.url.startsWith("/login")) PHP.Header.response_bind(req, res);
+    const secret = await F.filter_input(F.INPUT_GET, "secret");
+    res.end(JSON.stringify([secret, await F.filter_has_var(F.INPUT_GET, "secret"), await F.filter_input_array(F.INPUT_GET)]));
+  });
+  return keepAliveGets(server, ["/login?secret=alice-token", "/next"]);
+})(), { connections: 1, bodies: ['["alice-token",true,{"secret":"alice-token"}]', "[null,false,null]"] });
+
+// ---- header
+eq("header(), headers_list(), header_remove() and http_response_code() over http", await (async () => {
+  const H = PHP.Header;
+  const seen = {};
+  const server = http.createServer(async (req, res) => {
+    H.response_bind(req, res);
+    await new Promise((r) => setTimeout(r, 1)); // the bound response survives awaits
+    const route = new URL(req.url, "http://localhost").pathname;
+    if (route === "/headers") {
+      H.header("X-A: 1");
+      H.header("X-A: 2");
+      H.header("Link: </a.css>", false);
+      H.header("Link: </b.css>", false);
+      H.header("X-Gone: 1");
+      H.header_remove("X-Gone");
+      PHP.Cookie.setcookie("c", "v");
+      seen.list = H.headers_list();
+      seen.code = [H.http_response_code(), H.http_response_code(418), H.http_response_code()];
+      H.header("HTTP/1.1 202 Accepted");
+      H.header_register_callback(() => H.header("X-Callback: ran"));
+      res.end();
+      seen.after = [H.headers_sent(), H.http_response_code(500), PHP.Cookie.setcookie("late", "1")];
+      try {
+        H.header("X-Late: 1");
+      } catch (e) {
+        seen.late = e.message;
+      }
+    } else if (route === "/redirect") {
+      H.header("Location: /next");
+      res.end();
+    } else if (route === "/auth") {
+      H.header("WWW-Authenticate: Basic");
+      H.header("Location: /created", true, 201);
+      res.end();
+    }
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const h = await fetch(`${base}/headers`);
+    const get = await fetch(`${base}/redirect`, { redirect: "manual" });
+    const post = await fetch(`${base}/redirect`, { method: "POST", redirect: "manual" });
+    const auth = await fetch(`${base}/auth`);
+    return [
+      seen.list, seen.code, seen.after, seen.late,
+      [h.status, h.headers.get("x-a"), h.headers.get("link"), h.headers.get("x-gone"), h.headers.get("x-callback"), h.headers.getSetCookie()],
+      [get.status, post.status, get.headers.get("location")],
+      [auth.status, auth.headers.get("www-authenticate")],
+    ];
+  } finally {
+    server.close();
+  }
+})(), [
+  ["X-A: 2", "Link: </a.css>", "Link: </b.css>", "Set-Cookie: c=v"],
+  [200, 200, 418],
+  [true, false, false],
+  "header(): Cannot modify header information - headers already sent",
+  [202, "2", "</a.css>, </b.css>", null, "ran", ["c=v"]],
+  [302, 303, "/next"],
+  [201, "Basic"],
+]);
+eq("header functions outside a request", [PHP.Header.headers_list(), PHP.Header.http_response_code(), PHP.Header.headers_sent()], [[], false, false]);
+ok("header() without a response throws", (() => {
+  try {
+    PHP.Header.header("X-A: 1");
+  } catch (e) {
+    return e instanceof TypeError;
+  }
+  return false;
+})());
+eq("the bound response does not carry over to the next request on a keep-alive connection", await (async () => {
+  const H = PHP.Header;
+  const server = http.createServer(async (req, res) => {
+    if (req.url === "/bind") H.response_bind(req, res);
+    if (req.url === "/bind" || req.url === "/run") {
+      const send = () => (H.header("X-Old: 1"), res.end("sent"));
+      return req.url === "/run" ? H.response_run(req, res, send) : send();
+    }
+    let err = "";
+    try {
+      H.header("X-New: 1");
+    } catch (e) {
+      err = e.message.slice(0, "header(): no response".length);
+    }
+    res.end(JSON.stringify([err, H.headers_list(), H.headers_sent()]));
+  });
+  return keepAliveGets(server, ["/bind", "/next", "/run", "/next"]);
+})(), {
+  connections: 1,
+  bodies: ["sent", '["header(): no response",[],false]', "sent", '["header(): no response",[],false]'],
+});
+
+// ---- output buffering
+eq("ob_start() captures echo, printf, print_r and var_dump", (() => {
+  const O = PHP.Output;
+  O.ob_start();
+  O.echo("a", 1, true, null);
+  O.print("|");
+  PHP.String.printf("%03d|", 7);
+  PHP.Variables.print_r("r|");
+  PHP.Variables.var_dump(false);
+  return [O.ob_get_level(), O.ob_get_clean(), O.ob_get_level(), O.ob_get_clean(), O.ob_end_flush()];
+})(), [1, "a11|007|r|\nbool(false)\n", 0, false, false]);
+eq("nested buffers, handlers, phases and chunk_size", (() => {
+  const O = PHP.Output;
+  const phases = [];
+  O.ob_start();
+  O.ob_start((buf, phase) => (phases.push(phase), buf.toUpperCase()));
+  O.echo("x");
+  O.ob_flush();
+  O.echo("y");
+  O.ob_clean();
+  O.echo("z");
+  const status = O.ob_get_status(true).map((s) => [s.level, s.type, s.buffer_used]);
+  const handlers = O.ob_list_handlers();
+  O.ob_end_flush();
+  O.ob_start(null, 4);
+  O.echo("abc");
+  const before = O.ob_get_contents();
+  O.echo("d");
+  const after = O.ob_get_length();
+  O.ob_end_flush();
+  return [phases, status, handlers, before, after, O.ob_get_level(), O.ob_get_clean()];
+})(), [
+  [PHP.Output.PHP_OUTPUT_HANDLER_START | PHP.Output.PHP_OUTPUT_HANDLER_FLUSH, PHP.Output.PHP_OUTPUT_HANDLER_CLEAN, PHP.Output.PHP_OUTPUT_HANDLER_FINAL],
+  [[0, 0, 1], [1, 1, 1]],
+  ["default output handler", "Closure::__invoke"],
+  "abc", 0,
+  1, "XZabcd",
+]);
+eq("output goes to the current response; open buffers flush when it ends", await (async () => {
+  const O = PHP.Output;
+  const seen = {};
+  const server = http.createServer(async (req, res) => {
+    PHP.Header.response_bind(req, res);
+    await new Promise((r) => setTimeout(r, 1));
+    const who = new URL(req.url, "http://localhost").searchParams.get("who");
+    O.ob_start((buf) => `<${buf}>`);
+    O.echo("hello ", who);
+    await new Promise((r) => setTimeout(r, who === "a" ? 20 : 1)); // overlapping requests keep separate stacks
+    O.ob_start(null, 0, O.PHP_OUTPUT_HANDLER_STDFLAGS & ~O.PHP_OUTPUT_HANDLER_REMOVABLE);
+    O.echo("!");
+    seen[who] = [O.ob_get_level(), O.ob_end_clean(), O.ob_get_clean()];
+    res.end();
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const bodies = await Promise.all(["a", "b"].map((w) => fetch(`${base}/?who=${w}`).then((r) => r.text())));
+    return [bodies, seen.a, seen.b, O.ob_get_level()];
+  } finally {
+    server.close();
+  }
+})(), [["<hello a!>", "<hello b!>"], [2, false, false], [2, false, false], 0]);
+eq("output of the next request on a keep-alive connection does not go to the previous response", await (async () => {
+  const O = PHP.Output;
+  const server = http.createServer((req, res) => {
+    if (req.url === "/bound") {
+      PHP.Header.response_bind(req, res);
+      O.ob_start((buf) => buf.toUpperCase());
+      O.echo("bound"); // the open buffer is flushed when the response ends
+      return res.end();
+    }
+    O.echo("unbound"); // no response in this request: stdout, as in PHP's CLI
+    res.end(String(O.ob_get_level()));
+  });
+  const stdoutWrite = process.stdout.write;
+  let stdout = "";
+  process.stdout.write = function (chunk, ...rest) {
+    if (chunk === "unbound") return (stdout += chunk), true;
+    return stdoutWrite.call(this, chunk, ...rest);
+  };
+  try {
+    const got = await keepAliveGets(server, ["/bound", "/next"]);
+    return [got.connections, got.bodies, stdout];
+  } finally {
+    process.stdout.write = stdoutWrite;
+  }
+})(), [1, ["BOUND", "0"], "unbound"]);
+// ---- session (per-request isolation under concurrent load)
+eq("session isolation across overlapping requests", await (async () => {
+  const S = PHP.Session;
+  const server = http.createServer(async (req, res) => {
+    const who = new URL(req.url, "http://localhost").searchParams.get("who");
+    await S.session_start(req, res);
+    S.session_set("who", who);
+    await new Promise((r) => setTimeout(r, 20 - Number(who.slice(1))));
+    const seen = S.session_get("who");
+    await S.session_write_close();
+    res.end(seen);
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const names = Array.from({ length: 10 }, (_, i) => `u${i}`);
+    const got = await Promise.all(names.map((n) => fetch(`${base}/?who=${n}`).then((r) => r.text())));
+    return got.join(",") === names.join(",");
+  } finally {
+    server.close();
+  }
+})(), true);
+
+// Non-HTTP session tests run against a test-owned save handler and fake req/res pairs.
+const sessStore = new Map();
+const sessTouched = [];
+const sessGcRuns = [];
+const sessHandler = {
+  open: async () => true,
+  close: async () => true,
+  read: async (sid) => sessStore.get(sid) ?? "",
+  write: async (sid, data) => (sessStore.set(sid, data), true),
+  destroy: async (sid) => (sessStore.delete(sid), true),
+  gc: async (maxlifetime) => (sessGcRuns.push(maxlifetime), true),
+  validate_sid: async (sid) => sessStore.has(sid),
+  update_timestamp: async (sid) => (sessTouched.push(sid), true),
+};
+PHP.Session.session_set_save_handler(sessHandler);
+// Readable test ids in the session id format: a label prefix plus 32 characters of 0-9a-f.
+const sidFor = (label) => `${label}-${"0".repeat(32)}`;
+const fakeReq = (label) => ({ headers: { cookie: label ? `PHPSESSID=${sidFor(label)}` : "" } });
+const fakeRes = () => {
+  const h = {};
+  return { setHeader: (k, v) => { h[k.toLowerCase()] = v; }, getHeader: (k) => h[k.toLowerCase()], headers: h };
+};
+
+eq("session serialize_handler php reads PHP data", await (async () => {
+  sessStore.set(sidFor("php1"), 'user|s:5:"alice";n|i:3;');
+  await PHP.Session.session_start(fakeReq("php1"), fakeRes(), { serialize_handler: "php" });
+  const out = [PHP.Session.session_get("user"), PHP.Session.session_get("n")];
+  PHP.Session.session_set("n", 4);
+  await PHP.Session.session_write_close();
+  return [...out, sessStore.get(sidFor("php1"))];
+})(), ["alice", 3, 'user|s:5:"alice";n|i:4;']);
+eq("session serialize_handler php_binary", await (async () => {
+  PHP.Info.ini_set("session.serialize_handler", "php_binary");
+  await PHP.Session.session_start(fakeReq("bin1"), fakeRes());
+  PHP.Session.session_set("k", [1, "é"]);
+  await PHP.Session.session_write_close();
+  PHP.Info.ini_restore("session.serialize_handler");
+  return sessStore.get(sidFor("bin1"));
+})(), '\x01ka:2:{i:0;i:1;i:1;s:2:"é";}');
+eq("session serialize_handler php_serialize", await (async () => {
+  sessStore.set(sidFor("ser1"), 'a:1:{s:3:"ids";a:2:{i:0;i:7;i:1;i:8;}}');
+  await PHP.Session.session_start(fakeReq("ser1"), fakeRes(), { serialize_handler: "php_serialize" });
+  const ids = PHP.Session.session_get("ids");
+  await PHP.Session.session_write_close();
+  return ids;
+})(), [7, 8]);
+eq("session_encode/session_decode/session_unset", await (async () => {
+  const S = PHP.Session;
+  await S.session_start(fakeReq("enc1"), fakeRes(), { serialize_handler: "php" });
+  S.session_set("a", 1);
+  const encoded = S.session_encode();
+  S.session_unset();
+  const afterUnset = S.session_get("a");
+  const decoded = S.session_decode('b|s:1:"x";');
+  const bad = S.session_decode("garbage");
+  const out = [encoded, afterUnset, decoded, bad, S.session_get("b"), S.session_status() === S.PHP_SESSION_ACTIVE];
+  await S.session_write_close();
+  return out;
+})(), ["a|i:1;", null, true, false, "x", true]);
+eq("session_abort/session_reset discard changes", await (async () => {
+  const S = PHP.Session;
+  sessStore.set(sidFor("rst1"), '{"n":1}');
+  await S.session_start(fakeReq("rst1"), fakeRes());
+  S.session_set("n", 2);
+  await S.session_reset();
+  const afterReset = S.session_get("n");
+  S.session_set("n", 3);
+  await S.session_abort();
+  return [afterReset, sessStore.get(sidFor("rst1")), S.session_status() === S.PHP_SESSION_NONE];
+})(), [1, '{"n":1}', true]);
+eq("session locking prevents lost updates", await (async () => {
+  const S = PHP.Session;
+  PHP.Info.ini_set("session.locking", "1");
+  sessStore.set(sidFor("lock1"), '{"n":0}');
+  const bump = async () => {
+    await S.session_start(fakeReq("lock1"), fakeRes());
+    const n = S.session_get("n");
+    await new Promise((r) => setTimeout(r, 10));
+    S.session_set("n", n + 1);
+    await S.session_write_close();
+  };
+  await Promise.all([bump(), bump(), bump()]);
+  return sessStore.get(sidFor("lock1"));
+})(), '{"n":3}');
+eq("session lock timeout and read_and_close", await (async () => {
+  const S = PHP.Session;
+  const holder = (async () => {
+    await S.session_start(fakeReq("lock2"), fakeRes());
+    await new Promise((r) => setTimeout(r, 60));
+    await S.session_write_close();
+  })();
+  await new Promise((r) => setTimeout(r, 5));
+  const timedOut = await (async () => S.session_start(fakeReq("lock2"), fakeRes(), { lock_timeout: 0.01 }))();
+  await holder;
+  sessStore.set(sidFor("lock3"), '{"v":"ro"}');
+  const ro = await (async () => {
+    await S.session_start(fakeReq("lock3"), fakeRes(), { read_and_close: true });
+    return [S.session_get("v"), S.session_status() === S.PHP_SESSION_NONE];
+  })();
+  const relocked = await (async () => S.session_start(fakeReq("lock3"), fakeRes(), { lock_timeout: 0 }))();
+  await S.session_write_close();
+  PHP.Info.ini_restore("session.locking");
+  return [timedOut, ...ro, relocked];
+})(), [false, "ro", true, true]);
+eq("session_start() releases the lock when the handler fails", await (async () => {
+  const S = PHP.Session;
+  PHP.Info.ini_set("session.locking", "1");
+  sessStore.set(sidFor("fail1"), '{"n":1}');
+  let closed = 0;
+  let failures = 1;
+  S.session_set_save_handler({
+    ...sessHandler,
+    read: async (sid) => {
+      if (failures-- > 0) throw new Error("db down");
+      return sessHandler.read(sid);
+    },
+    close: async () => (closed++, true),
+  });
+  const err = await (async () => S.session_start(fakeReq("fail1"), fakeRes(), { lock_timeout: 0.05 }))().catch((e) => e.message);
+  const status = S.session_status() === S.PHP_SESSION_NONE;
+  const retried = await (async () => {
+    const started = await S.session_start(fakeReq("fail1"), fakeRes(), { lock_timeout: 0.05 });
+    const n = S.session_get("n");
+    await S.session_write_close();
+    return [started, n];
+  })();
+  S.session_set_save_handler(sessHandler);
+  PHP.Info.ini_restore("session.locking");
+  return [err, status, closed > 0, ...retried];
+})(), ["db down", true, true, true, 1]);
+eq("session_start() refuses data it cannot decode", await (async () => {
+  const S = PHP.Session;
+  PHP.Info.ini_set("session.locking", "1");
+  sessStore.set(sidFor("undecodable"), 'user|s:3:"ann";');
+  const err = await (async () => S.session_start(fakeReq("undecodable"), fakeRes(), { lock_timeout: 0.05 }))().catch((e) => e.message);
+  const status = S.session_status() === S.PHP_SESSION_NONE;
+  const started = await S.session_start(fakeReq("undecodable"), fakeRes(), { serialize_handler: "php", lock_timeout: 0.05 });
+  const user = S.session_get("user");
+  await S.session_write_close();
+  PHP.Info.ini_restore("session.locking");
+  return [err, status, started, user, sessStore.get(sidFor("undecodable"))];
+})(), ["session_start(): Failed to decode session object", true, true, "ann", 'user|s:3:"ann";']);
+eq("a session does not carry over to the next request on a keep-alive connection", await (async () => {
+  const S = PHP.Session;
+  const login = async (req, res) => {
+    await S.session_start(req, res);
+    S.session_set("user", "alice");
+    res.end("alice"); // left active, like a PHP script that never closes its session
+  };
+  const server = http.createServer((req, res) => {
+    if (req.url === "/login") return login(req, res);
+    if (req.url === "/run-login") return PHP.Header.response_run(req, res, () => login(req, res));
+    const active = S.session_status() === S.PHP_SESSION_ACTIVE;
+    res.end(JSON.stringify([active, S.session_id(), active ? S.session_get("user") : null]));
+  });
+  return keepAliveGets(server, ["/login", "/next", "/run-login", "/next"]);
+})(), { connections: 1, bodies: ["alice", '[false,"",null]', "alice", '[false,"",null]'] });
+eq("session auto_write_close on response finish", await (async () => {
+  const S = PHP.Session;
+  const server = http.createServer(async (req, res) => {
+    await S.session_start(req, res, { auto_write_close: true, locking: true });
+    S.session_set("hits", S.session_get("hits", 0) + 1);
+    res.end(String(S.session_get("hits"))); // no session_write_close()
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    const first = await fetch(url);
+    const cookie = first.headers.get("set-cookie").split(";")[0];
+    const bodies = [await first.text()];
+    for (let i = 0; i < 2; i++) bodies.push(await (await fetch(url, { headers: { cookie } })).text());
+    return bodies;
+  } finally {
+    server.close();
+  }
+})(), ["1", "2", "3"]);
+eq("session_start sends cache limiter headers", await (async () => {
+  const S = PHP.Session;
+  const out = [];
+  for (const limiter of ["nocache", "private", "public", ""]) {
+    const res = fakeRes();
+    await S.session_start(fakeReq("cache1"), res, { cache_limiter: limiter, cache_expire: 10 });
+    await S.session_abort();
+    out.push([res.headers["cache-control"] ?? null, res.headers.pragma ?? null, Boolean(res.headers.expires)]);
+  }
+  return out;
+})(), [
+  ["no-store, no-cache, must-revalidate", "no-cache", true],
+  ["private, max-age=600", null, true],
+  ["public, max-age=600", null, true],
+  [null, null, false],
+]);
+eq("session lazy_write skips unchanged data", await (async () => {
+  const S = PHP.Session;
+  sessStore.set(sidFor("lazy1"), '{"a":1}');
+  const req = fakeReq("lazy1");
+  await S.session_start(req, fakeRes());
+  await S.session_write_close();
+  const touched = sessTouched.includes(sidFor("lazy1"));
+  await S.session_start(req, fakeRes());
+  req.__SESSION.a = 2; // direct superglobal mutation is still detected
+  await S.session_write_close();
+  return [touched, sessStore.get(sidFor("lazy1"))];
+})(), [true, '{"a":2}']);
+eq("session use_strict_mode rejects forged ids", await (async () => {
+  const S = PHP.Session;
+  const res = fakeRes();
+  await S.session_start(fakeReq("forged"), res, { use_strict_mode: true });
+  const sid = S.session_id();
+  await S.session_abort();
+  return [sid !== sidFor("forged"), String(res.headers["set-cookie"]).includes(`PHPSESSID=${sid}`)];
+})(), [true, true]);
+eq("session_start runs probabilistic gc", await (async () => {
+  const S = PHP.Session;
+  sessGcRuns.length = 0;
+  await S.session_start(fakeReq("gc1"), fakeRes(), { gc_probability: 1, gc_divisor: 1, gc_maxlifetime: 60 });
+  await S.session_abort();
+  await S.session_start(fakeReq("gc1"), fakeRes(), { gc_probability: 0 });
+  await S.session_abort();
+  return sessGcRuns;
+})(), [60]);
+eq("session_create_id honours prefix, sid_length and sid_bits_per_character", (() => {
+  const S = PHP.Session;
+  const hex = S.session_create_id("web1-");
+  PHP.Info.ini_set("session.sid_length", 48);
+  PHP.Info.ini_set("session.sid_bits_per_character", 6);
+  const b64 = S.session_create_id();
+  PHP.Info.ini_restore("session.sid_length");
+  PHP.Info.ini_restore("session.sid_bits_per_character");
+  return [/^web1-[0-9a-f]{32}$/.test(hex), /^[0-9a-zA-Z,-]{48}$/.test(b64), S.session_create_id("bad prefix")];
+})(), [true, true, false]);
+eq("session_regenerate_id and session_create_id keep session_start's sid_length", await (async () => {
+  const S = PHP.Session;
+  const opts = { sid_length: 40, sid_bits_per_character: 5 };
+  const first = await (async () => {
+    await S.session_start(fakeReq(""), fakeRes(), opts);
+    S.session_set("user", "ann");
+    await S.session_regenerate_id(true);
+    const out = [S.session_id(), S.session_create_id("p-")];
+    await S.session_write_close();
+    return out;
+  })();
+  const [sid, created] = first;
+  const user = await (async () => {
+    await S.session_start({ headers: { cookie: `PHPSESSID=${sid}` } }, fakeRes(), opts);
+    const out = [S.session_id() === sid, S.session_get("user")];
+    await S.session_abort();
+    return out;
+  })();
+  return [/^[0-9a-v]{40}$/.test(sid), /^p-[0-9a-v]{40}$/.test(created), ...user];
+})(), [true, true, true, "ann"]);
+eq("session_start ignores ids outside the configured alphabet", await (async () => {
+  const S = PHP.Session;
+  const res = fakeRes();
+  await S.session_start({ headers: { cookie: "PHPSESSID=../../etc/passwd" } }, res);
+  const sid = S.session_id();
+  await S.session_abort();
+  return /^[0-9a-f]{32}$/.test(sid);
+})(), true);
+eq("session bags read and write nested keys", await (async () => {
+  const S = PHP.Session;
+  await S.session_start(fakeReq("bag1"), fakeRes());
+  S.session_bag_set("auth.user.id", 42);
+  const auth = S.session_bag("auth");
+  auth.set("user.name", "ann");
+  const out = [S.session_bag_get("auth.user.id"), auth.get("user.name"), auth.has("user.role"), S.session_bag_unset("auth.user.id"), S.session_get("auth")];
+  await S.session_write_close();
+  return out;
+})(), [42, "ann", false, true, { user: { name: "ann" } }]);
+eq("session flash data lives for exactly one more request", await (async () => {
+  const S = PHP.Session;
+  const request = async (fn) => {
+    await S.session_start(fakeReq("flash1"), fakeRes());
+    const out = fn();
+    await S.session_write_close();
+    return out;
+  };
+  const seen = [];
+  await request(() => S.session_flash("notice", "saved"));
+  seen.push(await request(() => S.session_flash_get("notice")));
+  seen.push(await request(() => S.session_flash_get("notice")));
+  await request(() => S.session_flash("err", "oops"));
+  seen.push(await request(() => (S.session_flash_keep("err"), S.session_flash_get("err"))));
+  seen.push(await request(() => S.session_flash_get("err")));
+  seen.push(await request(() => S.session_flash_get("err", "gone")));
+  return seen;
+})(), ["saved", null, "oops", "oops", "gone"]);
+// ---- middleware (each adapter against a local in-process server)
+// Three requests sharing the session cookie: the counter persists and the cookie is parsed for the handler.
+const adapterRoundTrip = async (url) => {
+  const bodies = [];
+  let cookie = "";
+  for (let i = 0; i < 3; i++) {
+    const r = await fetch(url, { headers: { cookie: cookie ? `${cookie}; theme=dark` : "theme=dark" } });
+    cookie ||= r.headers.get("set-cookie").split(";")[0];
+    bodies.push(await r.text());
+  }
+  return bodies;
+};
+const countVisit = (session, cookies) => {
+  session.set("visits", session.get("visits", 0) + 1);
+  return `${session.get("visits")}:${cookies.theme}`;
+};
+const listen = async (server) => {
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  return `http://127.0.0.1:${server.address().port}/`;
+};
+eq("httpSession adapter", await (async () => {
+  const server = http.createServer(httpSession((req, res) => res.end(countVisit(req.session, req.cookies))));
+  try {
+    return await adapterRoundTrip(await listen(server));
+  } finally {
+    server.close();
+  }
+})(), ["1:dark", "2:dark", "3:dark"]);
+eq("expressSession adapter", await (async () => {
+  const { default: express } = await import("express");
+  const app = express();
+  app.use(expressSession({ locking: true }));
+  app.get("/", (req, res) => res.send(countVisit(req.session, req.cookies)));
+  const server = http.createServer(app);
+  try {
+    return await adapterRoundTrip(await listen(server));
+  } finally {
+    server.close();
+  }
+})(), ["1:dark", "2:dark", "3:dark"]);
+eq("expressSession and httpSession store the session before the response completes", await (async () => {
+  const { default: express } = await import("express");
+  // a slow store: a follow-up request sent right after the response must still see the write
+  PHP.Session.session_set_save_handler({
+    ...sessHandler,
+    write: async (sid, data) => (await new Promise((r) => setTimeout(r, 40)), sessHandler.write(sid, data)),
+  });
+  const app = express();
+  app.use(expressSession());
+  app.get("/login", (req, res) => (req.session.set("user", "ann"), res.redirect("/me")));
+  app.get("/me", (req, res) => res.send(String(req.session.get("user", "nobody"))));
+  const servers = [
+    http.createServer(app),
+    http.createServer(httpSession((req, res) => {
+      if (req.url === "/login") req.session.set("user", "ann");
+      res.end(req.url === "/login" ? "" : String(req.session.get("user", "nobody")));
+    })),
+  ];
+  try {
+    const out = [];
+    for (const server of servers) {
+      const base = await listen(server);
+      const login = await fetch(`${base}login`, { redirect: "manual" });
+      const cookie = login.headers.get("set-cookie").split(";")[0];
+      await login.arrayBuffer();
+      out.push(await (await fetch(`${base}me`, { headers: { cookie } })).text());
+    }
+    return out;
+  } finally {
+    for (const server of servers) server.close();
+    PHP.Session.session_set_save_handler(sessHandler);
+  }
+})(), ["ann", "ann"]);
+eq("koaSession adapter", await (async () => {
+  const { default: Koa } = await import("koa");
+  const app = new Koa();
+  app.use(koaSession());
+  app.use(async (ctx) => {
+    await new Promise((r) => setTimeout(r, 1));
+    ctx.body = countVisit(ctx.session, ctx.state.cookies);
+  });
+  const server = http.createServer(app.callback());
+  try {
+    return await adapterRoundTrip(await listen(server));
+  } finally {
+    server.close();
+  }
+})(), ["1:dark", "2:dark", "3:dark"]);
+eq("fastifySession adapter", await (async () => {
+  const { default: Fastify } = await import("fastify");
+  const app = Fastify();
+  await app.register(fastifySession({ locking: true }));
+  app.get("/", async (request) => countVisit(request.session, request.cookies));
+  try {
+    return await adapterRoundTrip(await app.listen({ port: 0, host: "127.0.0.1" }));
+  } finally {
+    await app.close();
+  }
+})(), ["1:dark", "2:dark", "3:dark"]);
+eq("expressSession answers 503 on lock timeout", await (async () => {
+  const { default: express } = await import("express");
+  const S = PHP.Session;
+  const app = express();
+  app.set("env", "test"); // keep express's default error handler quiet
+  app.use(expressSession({ locking: true, lock_timeout: 0.05 }));
+  app.get("/", (req, res) => res.send("ok"));
+  const server = http.createServer(app);
+  const holder = fakeReq("mw503");
+  try {
+    const url = await listen(server);
+    await S.session_start(holder, fakeRes(), { locking: true });
+    const r = await fetch(url, { headers: { cookie: holder.headers.cookie } });
+    await S.session_write_close();
+    return r.status;
+  } finally {
+    server.close();
+  }
+})(), 503);
+eq("ini_set() rejects unknown handler", PHP.Info.ini_set("session.serialize_handler", "wddx"), false);
+
 // ---- chain
 eq("chain() 1", chain("  hello world  ").trim().strtoupper().value(), "HELLO WORLD");
 eq("chain() 2", chain(['A','b','c']).array_merge(['2',7]).implode().trim().strtoupper().value(), "ABC27");